@@ -1,23 +1,17 @@
-// State - use safe JSON parsing to prevent crashes from corrupted localStorage
-function safeJsonParse(key, defaultValue) {
-  try {
-    const item = localStorage.getItem(key);
-    if (item === null) return defaultValue;
-    const parsed = JSON.parse(item);
-    // Validate expected type - only return default if type mismatch
-    if (Array.isArray(defaultValue)) {
-      // Default is array, parsed must also be array
-      return Array.isArray(parsed) ? parsed : defaultValue;
-    }
-    if (typeof defaultValue === 'object' && defaultValue !== null) {
-      // Default is plain object, parsed must be plain object (not array, not null)
-      return (typeof parsed === 'object' && parsed !== null && !Array.isArray(parsed)) ? parsed : defaultValue;
-    }
-    return parsed;
-  } catch (e) {
-    console.error(`Error parsing localStorage key "${key}":`, e);
-    return defaultValue;
+// State - saved data is read through appStorage (storage.js), which has loaded it before this script runs
+function getStored(key, defaultValue) {
+  const stored = appStorage.get(key);
+  if (stored === undefined || stored === null) return defaultValue;
+  // Validate expected type - only return default if type mismatch
+  if (Array.isArray(defaultValue)) {
+    // Default is array, stored must also be array
+    return Array.isArray(stored) ? stored : defaultValue;
   }
+  if (typeof defaultValue === 'object' && defaultValue !== null) {
+    // Default is plain object, stored must be plain object (not array, not null)
+    return (typeof stored === 'object' && !Array.isArray(stored)) ? stored : defaultValue;
+  }
+  return stored;
 }
 
 // Request persistent storage to prevent browser from auto-evicting data
@@ -28,11 +22,11 @@ async function requestPersistentStorage() {
       const result = await navigator.storage.persist();
       if (!result) {
         // Storage persistence was denied - warn user on first occurrence
-        const warned = localStorage.getItem('persistenceWarningShown');
+        const warned = appStorage.get('persistenceWarningShown');
         if (!warned) {
           setTimeout(() => {
             showToast('⚠️ Browser may clear data when storage is low. Please export backups regularly!', 8000);
-            localStorage.setItem('persistenceWarningShown', 'true');
+            appStorage.set('persistenceWarningShown', true);
           }, 3000);
         }
       }
@@ -40,21 +34,39 @@ async function requestPersistentStorage() {
   }
 }
 
-let classes = safeJsonParse("classes", []);
-let editingIndex = null;
+let classes = getStored("classes", []);
+let archivedClasses = getStored("archivedClasses", []); // Past classes moved out of the schedule, still counted in reports (see archiveOldClasses)
+let classSeries = getStored("classSeries", []); // Recurring class definitions, expanded on the fly
+let students = getStored("students", []); // Student profiles - classes reference them by studentId
+let editingClassId = null; // ID of the stored class open in the modal
+let editingOccurrence = null; // { seriesId, date } when editing one occurrence of a series
+let makeupForClass = null; // Cancelled class the class being added makes up for
 let currentWeekOffset = 0;
+let scheduleMode = 'week'; // 'week', 'month' or 'day'
+let currentMonthOffset = 0;
+let selectedMonthDate = null; // Day picked in the month calendar (YYYY-MM-DD)
+let currentDayDate = null; // Day shown in the day timeline (YYYY-MM-DD)
+let timelineDrag = null; // Class being moved or resized on the day timeline
 let selectedDuration = 60; // Default 1 hour
-let draggedClassIndex = null;
+let draggedClassId = null;
 let isCopyDrag = false;
 let reportPeriod = 'week';
 let reportOffset = 0; // Offset for navigating previous/next weeks/months
 let customStartDate = null;
 let customEndDate = null;
-let defaultRate = parseInt(localStorage.getItem('defaultRate')) || 500;
-let studentRates = safeJsonParse('studentRates', {});
-let paymentStatus = safeJsonParse('paymentStatus', {});
+let defaultRate = parseInt(appStorage.get('defaultRate')) || 500;
+let studentRates = getStored('studentRates', {}); // Latest rate per student (see rateHistory for past rates)
+let rateHistory = getStored('rateHistory', {}); // Per student: [{ from: 'YYYY-MM-DD' or '' for always, rate }]
+let defaultRateHistory = getStored('defaultRateHistory', []); // Same for the default rate
+let paymentStatus = getStored('paymentStatus', {});
+let packages = getStored('packages', []); // Prepaid lesson packages - credits are drawn down by completed classes
+let payments = getStored('payments', []); // Payment ledger - money received, allocated across classes
+let invoices = getStored('invoices', []); // Issued invoices, kept for sequential numbering and reprints
+let invoiceSettings = getStored('invoiceSettings', {}); // Business details printed on invoices
+let reminderLog = getStored('reminderLog', []); // Payment reminders sent - { studentId, student, date, amount, channel }
+let messageTemplates = getStored('messageTemplates', {}); // Custom WhatsApp texts by language, then message type
 let isSelectMode = false;
-let selectedClasses = new Set();
+let selectedClasses = new Set(); // IDs of classes picked in select mode
 let allowClashOverride = false; // Flag to allow saving despite clash
 
 // Days of the week
@@ -68,11 +80,29 @@ function formatDateToYYYYMMDD(date) {
   return `${year}-${month}-${day}`;
 }
 
-// Working hours for auto-suggest (configurable)
-const WORKING_HOURS = { start: 8, end: 20 }; // 8 AM to 8 PM
+// Working hours per weekday, days off, slot step and default duration (Schedule Settings)
+const DEFAULT_WORKING_HOURS = { start: '08:00', end: '20:00', off: false };
+const SLOT_STEP_OPTIONS = [15, 30, 60];
+const DURATION_OPTIONS = [30, 60, 90, 120];
+let scheduleSettings = loadScheduleSettings();
+
+// Kinds of class, each with its own duration and optionally its own rate (null = the student's rate).
+// Once a type's rate is changed it also keeps a rateHistory, like a student's (see getClassTypeRateOn).
+const DEFAULT_CLASS_TYPES = [
+  { id: 'regular', name: 'Regular', rate: null, duration: 60 },
+  { id: 'exam', name: 'Exam prep', rate: null, duration: 90 },
+  { id: 'trial', name: 'Trial', rate: null, duration: 30 },
+  { id: 'group', name: 'Group', rate: null, duration: 60 }
+];
+let classTypes = getStored('classTypes', null) || DEFAULT_CLASS_TYPES.map(type => ({ ...type }));
 
 // DOM Elements
 const weekGrid = document.getElementById("weekGrid");
+const monthView = document.getElementById("monthView");
+const monthGrid = document.getElementById("monthGrid");
+const monthDayAgenda = document.getElementById("monthDayAgenda");
+const dayView = document.getElementById("dayView");
+const dayTimeline = document.getElementById("dayTimeline");
 const modal = document.getElementById("modal");
 const classForm = document.getElementById("classForm");
 const modalTitle = document.getElementById("modalTitle");
@@ -84,6 +114,7 @@ const suggestedSlots = document.getElementById("suggestedSlots");
 const slotsList = document.getElementById("slotsList");
 const studentSelect = document.getElementById("studentSelect");
 const studentSchedule = document.getElementById("studentSchedule");
+const studentProfile = document.getElementById("studentProfile");
 const dragHint = document.getElementById("dragHint");
 const copyToDaySection = document.getElementById("copyToDaySection");
 const cancelSection = document.getElementById("cancelSection");
@@ -91,6 +122,9 @@ const restoreSection = document.getElementById("restoreSection");
 const cancelReasonSpan = document.getElementById("cancelReason");
 const pendingConfirmSection = document.getElementById("pendingConfirmSection");
 const checkWithStudentBtn = document.getElementById("checkWithStudentBtn");
+const groupStudentsSection = document.getElementById("groupStudents");
+const groupStudentRows = document.getElementById("groupStudentRows");
+const groupStudentOptions = document.getElementById("groupStudentOptions");
 
 // Cancel reason labels
 const CANCEL_REASONS = {
@@ -100,29 +134,57 @@ const CANCEL_REASONS = {
   other: "Other Reason"
 };
 
+// Where a class happens - each type can have its own buffer in Schedule Settings.
+// A class location is { type } plus an address, or a meeting url for online classes.
+const LOCATION_TYPES = {
+  home: "Home visit",
+  tutor: "My place",
+  centre: "Centre",
+  online: "Online"
+};
+const LOCATION_ICONS = { home: "🏠", tutor: "📍", centre: "🏫", online: "💻" };
+
 // Form fields
 const existingStudentSelect = document.getElementById("existingStudentSelect");
 const studentNameInput = document.getElementById("studentName");
 const daySelect = document.getElementById("daySelect");
 const startTimeInput = document.getElementById("startTime");
 const endTimeInput = document.getElementById("endTime");
-
-// Initialize
-document.addEventListener("DOMContentLoaded", init);
+const repeatSelect = document.getElementById("repeatSelect");
+const repeatOptions = document.getElementById("repeatOptions");
+const repeatEndType = document.getElementById("repeatEndType");
+const repeatUntilInput = document.getElementById("repeatUntil");
+const repeatCountInput = document.getElementById("repeatCount");
+const locationTypeSelect = document.getElementById("locationType");
+const locationDetailInput = document.getElementById("locationDetail");
+const locationActionBtn = document.getElementById("locationActionBtn");
+const makeupSection = document.getElementById("makeupSection");
+const classTypeSelect = document.getElementById("classTypeSelect");
+const classRateInput = document.getElementById("classRate");
+
+// Initialize - called at the end of this file, which index.html loads once storage is ready
 
 function init() {
+  // Warn when the browser refuses to save, e.g. when storage is full
+  appStorage.onWriteError = () => showToast('⚠️ Could not save your changes. Please export a backup!', 8000);
+  if (appStorage.getLoadError()) {
+    alert("Your saved classes could not be opened, so nothing you change will be saved. Close any other Mindful Maths tabs and reload the page.");
+  }
   // Request persistent storage to prevent browser from auto-evicting data
   requestPersistentStorage();
   // Check if data was lost and auto-recover from backup
   checkAndRecoverData();
   migrateClassesToDateFormat();
   fixTimezoneShiftedDates(); // Fix dates that were shifted due to UTC timezone bug
-  cleanupOldClasses();
+  archiveOldClasses();
+  syncStudentRegistry();
+  migrateToClassIds();
   renderWeekGrid();
   setupEventListeners();
   updateStudentDropdowns();
   checkForClashes();
   checkAndCreateBackup();
+  checkLowPackageCredits();
   initNotifications();
   startClassReminderCheck();
   startEndOfDayReminderCheck();
@@ -134,54 +196,65 @@ function checkAndRecoverData() {
   // Log data status for debugging
   const dataStatus = {
     classesCount: classes.length,
-    hasAutoBackups: safeJsonParse('autoBackups', []).length > 0,
-    hasCleanupBackups: safeJsonParse('cleanupBackups', []).length > 0,
+    seriesCount: classSeries.length,
+    hasAutoBackups: getStored('autoBackups', []).length > 0,
+    hasCleanupBackups: getStored('cleanupBackups', []).length > 0,
     timestamp: new Date().toISOString()
   };
 
+  const hasData = classes.length > 0 || archivedClasses.length > 0 || classSeries.length > 0;
+
   // Track data loss events
-  if (classes.length === 0) {
-    const lossEvents = safeJsonParse('dataLossEvents', []);
+  if (!hasData) {
+    const lossEvents = getStored('dataLossEvents', []);
     lossEvents.unshift(dataStatus);
     // Keep only last 10 events
-    localStorage.setItem('dataLossEvents', JSON.stringify(lossEvents.slice(0, 10)));
+    appStorage.set('dataLossEvents', lossEvents.slice(0, 10));
   }
 
-  if (classes.length > 0) return; // Data exists, no recovery needed
+  if (hasData) return; // Data exists, no recovery needed
 
   // Try to recover from auto backups first
-  const autoBackups = safeJsonParse('autoBackups', []);
+  const autoBackups = getStored('autoBackups', []);
   if (autoBackups.length > 0 && autoBackups[0].classes && autoBackups[0].classes.length > 0) {
     const backup = autoBackups[0];
     classes = backup.classes;
+    classSeries = backup.classSeries || classSeries;
+    students = backup.students || students;
     studentRates = backup.studentRates || studentRates;
     paymentStatus = backup.paymentStatus || paymentStatus;
     defaultRate = backup.defaultRate || defaultRate;
 
     // Save recovered data
     saveClasses();
-    localStorage.setItem('studentRates', JSON.stringify(studentRates));
-    localStorage.setItem('paymentStatus', JSON.stringify(paymentStatus));
-    localStorage.setItem('defaultRate', defaultRate);
+    saveSeries();
+    saveStudents();
+    appStorage.set('studentRates', studentRates);
+    appStorage.set('paymentStatus', paymentStatus);
+    appStorage.set('defaultRate', defaultRate);
 
     showToast(`⚠️ Data was lost! Recovered ${classes.length} classes from backup.`, 10000);
     return;
   }
 
   // Try cleanup backups if no auto backups
-  const cleanupBackups = safeJsonParse('cleanupBackups', []);
+  const cleanupBackups = getStored('cleanupBackups', []);
   if (cleanupBackups.length > 0 && cleanupBackups[0].allClasses && cleanupBackups[0].allClasses.length > 0) {
     const backup = cleanupBackups[0];
     classes = backup.allClasses;
+    classSeries = backup.classSeries || classSeries;
+    students = backup.students || students;
     studentRates = backup.studentRates || studentRates;
     paymentStatus = backup.paymentStatus || paymentStatus;
     defaultRate = backup.defaultRate || defaultRate;
 
     // Save recovered data
     saveClasses();
-    localStorage.setItem('studentRates', JSON.stringify(studentRates));
-    localStorage.setItem('paymentStatus', JSON.stringify(paymentStatus));
-    localStorage.setItem('defaultRate', defaultRate);
+    saveSeries();
+    saveStudents();
+    appStorage.set('studentRates', studentRates);
+    appStorage.set('paymentStatus', paymentStatus);
+    appStorage.set('defaultRate', defaultRate);
 
     showToast(`⚠️ Data was lost! Recovered ${classes.length} classes from backup.`, 10000);
   }
@@ -213,7 +286,7 @@ function migrateClassesToDateFormat() {
 // Fix timezone-shifted dates (one-time migration for v75)
 function fixTimezoneShiftedDates() {
   const migrationKey = 'timezoneDateFixV75';
-  if (localStorage.getItem(migrationKey)) {
+  if (appStorage.get(migrationKey)) {
     return; // Already migrated
   }
 
@@ -251,7 +324,7 @@ function fixTimezoneShiftedDates() {
     saveClasses();
   }
 
-  localStorage.setItem(migrationKey, 'true');
+  appStorage.set(migrationKey, true);
 }
 
 // Force fix timezone-shifted dates (always runs, used for imports)
@@ -293,42 +366,149 @@ function forceFixTimezoneShiftedDates() {
   return fixedCount;
 }
 
-// Clean up classes older than 3 months (with automatic backup)
-function cleanupOldClasses() {
-  const threeMonthsAgo = new Date();
-  threeMonthsAgo.setMonth(threeMonthsAgo.getMonth() - 3);
-  const cutoffDate = formatDateToYYYYMMDD(threeMonthsAgo);
+// Give every stored class an ID, and move payment records from the old "student_date_start_end"
+// keys to ID-based ones (see getClassPaymentId). Runs at startup and after restoring a backup.
+function migrateToClassIds() {
+  let classesChanged = false;
+  getAllClasses().forEach(cls => {
+    if (cls.id) return;
+    cls.id = generateId('class');
+    classesChanged = true;
+  });
+  if (classesChanged) {
+    saveClasses();
+    saveArchivedClasses();
+  }
+
+  const legacyKey = /_\d{4}-\d{2}-\d{2}_\d{2}:\d{2}_\d{2}:\d{2}$/;
+  const hasLegacyKeys = (map) => Object.keys(map).some(key => legacyKey.test(key));
+  if (!hasLegacyKeys(paymentStatus) && !payments.some(payment => hasLegacyKeys(payment.allocations || {}))) return;
+
+  const newKeys = {};
+  [...getAllClasses(), ...getSeriesOccurrences('', formatDateToYYYYMMDD(new Date()))].forEach(cls => {
+    getClassMembers(cls).forEach(member => {
+      newKeys[`${member.student}_${cls.date}_${cls.start}_${cls.end}`] = getClassPaymentId(cls, member);
+    });
+  });
+  // Keys with no matching class are kept as they are
+  const rekey = (map) => {
+    const rekeyed = {};
+    Object.keys(map).forEach(key => {
+      rekeyed[newKeys[key] || key] = map[key];
+    });
+    return rekeyed;
+  };
+
+  paymentStatus = rekey(paymentStatus);
+  payments.forEach(payment => {
+    if (payment.allocations) payment.allocations = rekey(payment.allocations);
+  });
+  appStorage.set('paymentStatus', paymentStatus);
+  savePayments();
+}
+
+// ==================== CLASS ARCHIVE ====================
+
+// Classes older than the retention policy (scheduleSettings.archivePolicy) move out of the
+// schedule into archivedClasses. Reports, exports and student history still include them.
+
+// Stored classes including archived ones, for anything that looks back over past classes
+function getAllClasses() {
+  return [...archivedClasses, ...classes];
+}
+
+function saveArchivedClasses() {
+  appStorage.set('archivedClasses', archivedClasses);
+}
+
+// YYYY-MM-DD a number of months before today
+function getMonthsAgoDateStr(months) {
+  const date = new Date();
+  date.setMonth(date.getMonth() - months);
+  return formatDateToYYYYMMDD(date);
+}
 
-  // Find old classes
-  const oldClasses = classes.filter(cls => cls.date && cls.date < cutoffDate);
+// Add classes to the archive, skipping copies already there (e.g. after restoring a backup)
+function addToArchive(classesToArchive) {
+  // Compared without IDs, as classes from older backups get new ones
+  const getKey = (cls) => JSON.stringify({ ...cls, id: undefined });
+  const archived = new Set(archivedClasses.map(getKey));
+  classesToArchive.forEach(cls => {
+    const key = getKey(cls);
+    if (archived.has(key)) return;
+    archived.add(key);
+    archivedClasses.push(cls);
+  });
+  archivedClasses.sort((a, b) => (a.date + a.start).localeCompare(b.date + b.start));
+}
+
+// Move old classes to the archive and delete archived classes past the retention period
+function archiveOldClasses() {
+  restoreCleanedUpClasses();
+  const { afterMonths, deleteAfterYears } = scheduleSettings.archivePolicy;
+
+  if (afterMonths > 0) {
+    const cutoffDate = getMonthsAgoDateStr(afterMonths);
+    const oldClasses = classes.filter(cls => cls.date && cls.date < cutoffDate);
+    if (oldClasses.length > 0) {
+      addToArchive(oldClasses);
+      classes = classes.filter(cls => !cls.date || cls.date >= cutoffDate);
+      // Undoing an earlier change would bring the archived classes back into the schedule too
+      clearUndoHistory();
+      saveArchivedClasses();
+      saveClasses();
+    }
+  }
 
-  if (oldClasses.length === 0) {
-    return; // Nothing to clean up
+  if (deleteAfterYears > 0) {
+    deleteExpiredArchivedClasses(getMonthsAgoDateStr(deleteAfterYears * 12));
   }
+}
+
+function deleteExpiredArchivedClasses(cutoffDate) {
+  const expiredClasses = archivedClasses.filter(cls => cls.date < cutoffDate);
+  if (expiredClasses.length === 0) return;
 
-  // Create backup before cleanup
+  // Create backup before deleting
   const cleanupBackup = {
     timestamp: new Date().toISOString(),
-    reason: 'auto-cleanup-3months',
+    reason: 'archive-retention',
     cutoffDate: cutoffDate,
-    classesRemoved: oldClasses.length,
-    classes: oldClasses,
+    classesRemoved: expiredClasses.length,
+    classes: expiredClasses,
     allClasses: classes,
+    classSeries: classSeries,
+    students: students,
     studentRates: studentRates,
     paymentStatus: paymentStatus,
     defaultRate: defaultRate
   };
 
   // Store cleanup backup separately
-  let cleanupBackups = safeJsonParse('cleanupBackups', []);
+  let cleanupBackups = getStored('cleanupBackups', []);
   cleanupBackups.unshift(cleanupBackup);
-  // Keep only last 6 cleanup backups (covering 18 months of history)
+  // Keep only last 6 cleanup backups
   cleanupBackups = cleanupBackups.slice(0, 6);
-  localStorage.setItem('cleanupBackups', JSON.stringify(cleanupBackups));
+  appStorage.set('cleanupBackups', cleanupBackups);
 
-  // Remove old classes
-  classes = classes.filter(cls => !cls.date || cls.date >= cutoffDate);
-  saveClasses();
+  archivedClasses = archivedClasses.filter(cls => cls.date >= cutoffDate);
+  saveArchivedClasses();
+}
+
+// One-time: classes deleted by the old three-month cleanup are still in its backups - archive them
+function restoreCleanedUpClasses() {
+  const migrationKey = 'cleanedUpClassesArchived';
+  if (appStorage.get(migrationKey)) return;
+
+  const removedClasses = getStored('cleanupBackups', [])
+    .filter(backup => backup.reason === 'auto-cleanup-3months')
+    .flatMap(backup => backup.classes || []);
+  if (removedClasses.length > 0) {
+    addToArchive(removedClasses);
+    saveArchivedClasses();
+  }
+
+  appStorage.set(migrationKey, true);
 }
 
 // Event Listeners Setup
@@ -338,9 +518,16 @@ function setupEventListeners() {
     tab.addEventListener("click", () => switchView(tab.dataset.view));
   });
 
-  // Week navigation
-  document.getElementById("prevWeek").addEventListener("click", () => navigateWeek(-1));
-  document.getElementById("nextWeek").addEventListener("click", () => navigateWeek(1));
+  // Week/month navigation
+  document.getElementById("prevWeek").addEventListener("click", () => navigateSchedule(-1));
+  document.getElementById("nextWeek").addEventListener("click", () => navigateSchedule(1));
+  document.querySelectorAll(".schedule-mode-btn").forEach(btn => {
+    btn.addEventListener("click", () => setScheduleMode(btn.dataset.mode));
+  });
+  monthView.addEventListener("click", handleMonthViewClick);
+  dayTimeline.addEventListener("pointerdown", handleTimelinePointerDown);
+  dayTimeline.addEventListener("click", handleTimelineClick);
+  setInterval(updateTimelineNowLine, 60000);
 
   // Copy week button
   document.getElementById("copyWeekBtn").addEventListener("click", showCopyWeekDialog);
@@ -357,6 +544,15 @@ function setupEventListeners() {
   // Form submission
   classForm.addEventListener("submit", handleFormSubmit);
 
+  // Group class students
+  document.getElementById("addGroupStudentBtn").addEventListener("click", () => {
+    addGroupStudentRow().querySelector('.group-student-input').focus();
+  });
+  groupStudentRows.addEventListener("click", (e) => {
+    const removeBtn = e.target.closest(".group-student-remove");
+    if (removeBtn) removeGroupStudentRow(removeBtn.closest(".group-student-row"));
+  });
+
   // Delete and Duplicate buttons
   deleteBtn.addEventListener("click", handleDelete);
   duplicateBtn.addEventListener("click", handleDuplicate);
@@ -374,6 +570,13 @@ function setupEventListeners() {
 
   // Notify Student about cancellation button
   document.getElementById("notifyStudentCancelBtn").addEventListener("click", handleNotifyStudentCancellation);
+  document.getElementById("waiveFeeBtn").addEventListener("click", handleToggleCancelFee);
+  document.getElementById("scheduleMakeupBtn").addEventListener("click", handleScheduleMakeup);
+  document.getElementById("skipMakeupBtn").addEventListener("click", handleToggleMakeupNeeded);
+  document.getElementById("makeupSlots").addEventListener("click", (e) => {
+    const chip = e.target.closest(".slot-chip");
+    if (chip) applyMakeupSlot(chip);
+  });
 
   // Allow Clash button
   document.getElementById("allowClashBtn").addEventListener("click", handleAllowClash);
@@ -396,34 +599,72 @@ function setupEventListeners() {
     });
   });
 
+  // Repeat options - show weekday/end fields only for repeating classes
+  repeatSelect.addEventListener("change", () => {
+    const checkedDays = document.querySelectorAll(".repeat-day input:checked");
+    if (repeatSelect.value !== "none" && checkedDays.length === 0 && daySelect.value) {
+      const dayCheckbox = document.querySelector(`.repeat-day input[value="${daySelect.value}"]`);
+      if (dayCheckbox) dayCheckbox.checked = true;
+    }
+    updateRepeatOptionsUI();
+  });
+  repeatEndType.addEventListener("change", updateRepeatOptionsUI);
+
+  // Quick slots follow the selected day's working hours
+  daySelect.addEventListener("change", renderQuickSlots);
+  endTimeInput.addEventListener("change", updateWorkingHoursNote);
+  // Buffers depend on the location
+  locationTypeSelect.addEventListener("change", () => {
+    updateLocationFormUI();
+    checkFormClash();
+    updateQuickSlotsClashState();
+    updateCopyToDayClashState();
+  });
+  locationDetailInput.addEventListener("input", updateLocationFormUI);
+
+  // Keep a single repeat weekday in step with the selected day
+  daySelect.addEventListener("change", () => {
+    const checkedDays = document.querySelectorAll(".repeat-day input:checked");
+    if (checkedDays.length === 1 && daySelect.value) {
+      checkedDays[0].checked = false;
+      const dayCheckbox = document.querySelector(`.repeat-day input[value="${daySelect.value}"]`);
+      if (dayCheckbox) dayCheckbox.checked = true;
+    }
+  });
+
   // Student selection - clear the other when one is selected
   existingStudentSelect.addEventListener("change", () => {
     if (existingStudentSelect.value) {
       studentNameInput.value = "";
     }
+    updateGroupPrimaryName();
   });
 
   studentNameInput.addEventListener("input", () => {
     if (studentNameInput.value) {
       existingStudentSelect.value = "";
     }
+    updateGroupPrimaryName();
   });
 
-  // Quick time slots
-  document.querySelectorAll(".quick-slot").forEach(slot => {
-    slot.addEventListener("click", () => {
-      const start = slot.dataset.start;
-      const end = slot.dataset.end;
-      startTimeInput.value = start;
-      endTimeInput.value = end;
+  applyScheduleSettingsToForm();
 
-      // Update active state
-      document.querySelectorAll(".quick-slot").forEach(s => s.classList.remove("active"));
-      slot.classList.add("active");
+  // Quick time slots (rebuilt per day from working hours, so delegated)
+  document.getElementById("quickSlots").addEventListener("click", (e) => {
+    const slot = e.target.closest(".quick-slot");
+    if (!slot) return;
 
-      checkFormClash();
-      updateCopyToDayClashState();
-    });
+    const start = slot.dataset.start;
+    const end = slot.dataset.end;
+    startTimeInput.value = start;
+    endTimeInput.value = end;
+
+    // Update active state
+    document.querySelectorAll(".quick-slot").forEach(s => s.classList.remove("active"));
+    slot.classList.add("active");
+
+    checkFormClash();
+    updateCopyToDayClashState();
   });
 
   // Duration buttons
@@ -439,12 +680,15 @@ function setupEventListeners() {
       if (startTimeInput.value) {
         endTimeInput.value = addMinutesToTime(startTimeInput.value, selectedDuration);
         checkFormClash();
-        updateQuickSlotsClashState();
         updateCopyToDayClashState();
       }
+      renderQuickSlots();
     });
   });
 
+  // Class type sets its duration and shows its rate
+  classTypeSelect.addEventListener("change", applyClassTypeToForm);
+
   // Auto-calculate end time when start time changes
   startTimeInput.addEventListener("change", () => {
     if (startTimeInput.value) {
@@ -460,6 +704,7 @@ function setupEventListeners() {
 
   // Student view dropdown
   studentSelect.addEventListener("change", renderStudentSchedule);
+  document.getElementById("addStudentBtn").addEventListener("click", () => showStudentDialog(null));
 
   // Report period buttons
   document.querySelectorAll(".period-btn").forEach(btn => {
@@ -511,11 +756,33 @@ function setupEventListeners() {
       showToast('Rate capped at maximum value');
     }
 
-    defaultRate = newRate;
-    localStorage.setItem('defaultRate', defaultRate);
+    const fromDate = askRateEffectiveDate(formatDateToYYYYMMDD(getReportDateRange().startDate));
+    if (fromDate === null) {
+      e.target.value = defaultRate;
+      return;
+    }
+
+    setDefaultRate(newRate, fromDate);
     renderReport();
   });
 
+  // Ctrl/Cmd+Z undoes the last schedule change, Ctrl/Cmd+Shift+Z (or Ctrl+Y) redoes it.
+  // Text fields keep their own undo, and the class form is left alone while it is open
+  // (undoing under it would leave it showing a class that changed).
+  document.addEventListener("keydown", (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    if (e.target.closest && e.target.closest("input, textarea, select, [contenteditable]")) return;
+    if (!modal.classList.contains("hidden")) return;
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+      e.preventDefault();
+      undoScheduleChange();
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+      e.preventDefault();
+      redoScheduleChange();
+    }
+  });
+
   // Track Ctrl/Cmd key for copy drag
   document.addEventListener("keydown", (e) => {
     if (e.ctrlKey || e.metaKey) {
@@ -555,6 +822,11 @@ function setupEventListeners() {
 
   // Header button event listeners (CSP-compliant - no inline onclick)
   document.getElementById("notificationBtn").addEventListener("click", toggleNotifications);
+  document.getElementById("settingsBtn").addEventListener("click", showScheduleSettingsDialog);
+  document.getElementById("templatesBtn").addEventListener("click", showTemplatesDialog);
+  document.getElementById("duesBtn").addEventListener("click", showDuesDialog);
+  document.getElementById("exportClassesCsvBtn").addEventListener("click", exportClassesCsv);
+  document.getElementById("exportSummaryCsvBtn").addEventListener("click", exportStudentSummaryCsv);
   document.getElementById("backupBtn").addEventListener("click", showBackupDialog);
 }
 
@@ -566,7 +838,7 @@ function handleWeekGridClick(e) {
   // Handle copy button click
   if (copyBtn) {
     e.stopPropagation();
-    showCopyClassDialog(parseInt(copyBtn.dataset.index));
+    showCopyClassDialog(copyBtn.dataset.classId);
     return;
   }
 
@@ -574,9 +846,10 @@ function handleWeekGridClick(e) {
   if (card) {
     // Handle select mode
     if (isSelectMode) {
+      // Series occurrences are deleted through the edit modal, not bulk selection
+      if (card.dataset.seriesId) return;
       if (!e.target.classList.contains("class-select-cb")) {
-        const index = parseInt(card.dataset.index);
-        toggleClassSelection(index);
+        toggleClassSelection(card.dataset.classId);
       }
       return;
     }
@@ -584,7 +857,11 @@ function handleWeekGridClick(e) {
     if (card.classList.contains("dragging")) {
       return;
     }
-    openEditModal(parseInt(card.dataset.index));
+    if (card.dataset.seriesId) {
+      openEditModal(null, { seriesId: card.dataset.seriesId, date: card.dataset.date });
+      return;
+    }
+    openEditModal(card.dataset.classId);
   }
 }
 
@@ -592,8 +869,7 @@ function handleWeekGridClick(e) {
 function handleWeekGridChange(e) {
   if (e.target.classList.contains("class-select-cb")) {
     e.stopPropagation();
-    const index = parseInt(e.target.dataset.index);
-    toggleClassSelection(index);
+    toggleClassSelection(e.target.dataset.classId);
   }
 }
 
@@ -607,6 +883,7 @@ function switchView(viewName) {
 
   if (viewName === "students") {
     updateStudentDropdowns();
+    renderStudentSchedule();
   } else if (viewName === "reports") {
     renderReport();
   }
@@ -621,6 +898,30 @@ function navigateWeek(direction) {
 
 function updateWeekLabel() {
   const label = document.getElementById("weekLabel");
+
+  if (scheduleMode === 'day') {
+    const todayStr = formatDateToYYYYMMDD(new Date());
+    const date = new Date(currentDayDate + 'T12:00:00');
+    const dateText = date.toLocaleDateString("en-US", { weekday: "short", month: "short", day: "numeric" });
+    if (currentDayDate === todayStr) {
+      label.textContent = `Today (${dateText})`;
+    } else if (currentDayDate === addDaysToDateStr(todayStr, 1)) {
+      label.textContent = `Tomorrow (${dateText})`;
+    } else if (currentDayDate === addDaysToDateStr(todayStr, -1)) {
+      label.textContent = `Yesterday (${dateText})`;
+    } else {
+      label.textContent = dateText;
+    }
+    return;
+  }
+
+  if (scheduleMode === 'month') {
+    const monthStart = getMonthStartDate(currentMonthOffset);
+    const monthName = monthStart.toLocaleDateString("en-US", { month: "long", year: "numeric" });
+    label.textContent = currentMonthOffset === 0 ? `This Month (${monthName})` : monthName;
+    return;
+  }
+
   const startDate = getWeekStartDate(currentWeekOffset);
   const endDate = new Date(startDate);
   endDate.setDate(startDate.getDate() + 6);
@@ -682,12 +983,24 @@ function showCopyWeekDialog() {
   }
 }
 
+// Fields that belong to one class only - a copy of it starts without them
+// (a copy of a make-up isn't another make-up for the same cancellation)
+const UNCOPIED_CLASS_FIELDS = ['cancelFeePercent', 'cancelFeeWaived', 'makeupFor', 'makeupNotNeeded'];
+
+// A copy of a class with some fields changed, e.g. { day, date }
+function copyClassWith(cls, changes) {
+  const copy = { ...cls, ...changes };
+  UNCOPIED_CLASS_FIELDS.forEach(field => delete copy[field]);
+  return copy;
+}
+
 function copyAllToNextWeek() {
   // Get classes from current week only
   const currentWeekStart = getWeekStartDate(currentWeekOffset);
   const currentWeekEnd = new Date(currentWeekStart);
   currentWeekEnd.setDate(currentWeekStart.getDate() + 6);
-  const currentWeekClasses = getClassesInRange(currentWeekStart, currentWeekEnd);
+  // Series occurrences already repeat on their own
+  const currentWeekClasses = getClassesInRange(currentWeekStart, currentWeekEnd).filter(c => !c.seriesId);
 
   if (currentWeekClasses.length === 0) {
     alert("No classes in this week to copy.");
@@ -695,6 +1008,7 @@ function copyAllToNextWeek() {
   }
 
   const nextWeekStart = getWeekStartDate(currentWeekOffset + 1);
+  const snapshot = takeScheduleSnapshot();
   let addedCount = 0;
   let skippedCount = 0;
 
@@ -705,14 +1019,13 @@ function copyAllToNextWeek() {
     newDate.setDate(nextWeekStart.getDate() + dayIndex);
     const newDateStr = formatDateToYYYYMMDD(newDate);
 
-    const newClass = {
-      ...cls,
+    const newClass = copyClassWith(cls, {
       date: newDateStr,
       cancelled: false,
       cancelReason: undefined,
       pendingConfirmation: false,
       completedDate: undefined
-    };
+    });
 
     // Check if this exact class already exists for that date
     const exists = classes.some(c =>
@@ -723,17 +1036,23 @@ function copyAllToNextWeek() {
     );
 
     if (!exists && !hasClash(newClass)) {
-      classes.push(newClass);
+      addClass(newClass);
       addedCount++;
     } else {
       skippedCount++;
     }
   });
 
+  const message = `Copied ${addedCount} classes to next week. ${skippedCount > 0 ? `Skipped ${skippedCount} due to duplicates, clashes or too little gap between classes.` : ''}`;
+  if (addedCount === 0) {
+    alert(message);
+    return;
+  }
+
+  recordUndo("Copy to next week", snapshot);
   saveClasses();
   renderWeekGrid();
-
-  alert(`Copied ${addedCount} classes to next week. ${skippedCount > 0 ? `Skipped ${skippedCount} due to duplicates or clashes.` : ''}`);
+  showUndoToast(message, 8000);
 }
 
 function copyMondayToWeekdays() {
@@ -748,6 +1067,7 @@ function copyMondayToWeekdays() {
   }
 
   const targetDays = ["Tuesday", "Wednesday", "Thursday", "Friday"];
+  const snapshot = takeScheduleSnapshot();
   let addedCount = 0;
   let skippedCount = 0;
 
@@ -758,18 +1078,17 @@ function copyMondayToWeekdays() {
       targetDate.setDate(currentWeekStart.getDate() + dayOffset + 1);
       const targetDateStr = formatDateToYYYYMMDD(targetDate);
 
-      const newClass = {
-        ...mondayClass,
+      const newClass = copyClassWith(mondayClass, {
         day,
         date: targetDateStr,
         cancelled: false,
         cancelReason: undefined,
         pendingConfirmation: false
-      };
+      });
 
       // Check for clashes
       if (!hasClash(newClass)) {
-        classes.push(newClass);
+        addClass(newClass);
         addedCount++;
       } else {
         skippedCount++;
@@ -777,21 +1096,21 @@ function copyMondayToWeekdays() {
     });
   });
 
+  const message = `Copied ${addedCount} classes to weekdays. ${skippedCount > 0 ? `Skipped ${skippedCount} due to clashes or too little gap between classes.` : ''}`;
+  if (addedCount === 0) {
+    alert(message);
+    return;
+  }
+
+  recordUndo("Copy Monday to weekdays", snapshot);
   saveClasses();
   renderWeekGrid();
-
-  alert(`Copied ${addedCount} classes to weekdays. ${skippedCount > 0 ? `Skipped ${skippedCount} due to clashes.` : ''}`);
+  showUndoToast(message, 8000);
 }
 
 // Copy single class to another day (mobile-friendly)
-function showCopyClassDialog(classIndex) {
-  // Validate index bounds
-  if (classIndex < 0 || classIndex >= classes.length) {
-    console.error('showCopyClassDialog: Invalid class index', classIndex);
-    return;
-  }
-
-  const cls = classes[classIndex];
+function showCopyClassDialog(classId) {
+  const cls = getClassById(classId);
   if (!cls) return;
 
   const currentDay = cls.day;
@@ -823,7 +1142,7 @@ function showCopyClassDialog(classIndex) {
   targetDate.setDate(weekStart.getDate() + targetDayIndex);
   const targetDateStr = formatDateToYYYYMMDD(targetDate);
 
-  const newClass = { ...cls, day: targetDay, date: targetDateStr };
+  const newClass = copyClassWith(cls, { day: targetDay, date: targetDateStr });
 
   // Remove cancel status when copying
   delete newClass.cancelled;
@@ -837,12 +1156,362 @@ function showCopyClassDialog(classIndex) {
     return;
   }
 
-  classes.push(newClass);
+  recordUndo("Copy class");
+  addClass(newClass);
   saveClasses();
   renderWeekGrid();
   updateStudentDropdowns();
 
-  showToast(`Copied ${cls.student}'s class to ${targetDay}`);
+  showUndoToast(`Copied ${cls.student}'s class to ${targetDay}`);
+}
+
+// ==================== RECURRING SERIES ====================
+
+// Generate a unique ID for stored records (e.g. recurring series)
+function generateId(prefix) {
+  return `${prefix}_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 7)}`;
+}
+
+function saveSeries() {
+  appStorage.set('classSeries', classSeries);
+}
+
+function getSeriesById(seriesId) {
+  return classSeries.find(s => s.id === seriesId) || null;
+}
+
+// Get the day name (Monday..Sunday) for a YYYY-MM-DD date string
+function getDayNameFromDateStr(dateStr) {
+  const date = new Date(dateStr + 'T12:00:00'); // Use noon to avoid timezone issues
+  const dayOfWeek = date.getDay();
+  return DAYS[dayOfWeek === 0 ? 6 : dayOfWeek - 1];
+}
+
+// Shift a YYYY-MM-DD date string by a number of days
+function addDaysToDateStr(dateStr, days) {
+  const date = new Date(dateStr + 'T12:00:00');
+  date.setDate(date.getDate() + days);
+  return formatDateToYYYYMMDD(date);
+}
+
+// Get the Monday of the week containing a YYYY-MM-DD date string
+function getMondayOfDateStr(dateStr) {
+  const dayIndex = DAYS.indexOf(getDayNameFromDateStr(dateStr));
+  return addDaysToDateStr(dateStr, -dayIndex);
+}
+
+// Check if the series pattern falls on a date (end conditions are handled by expandSeries)
+function seriesMatchesDate(series, dateStr) {
+  if (dateStr < series.startDate) return false;
+  if (!series.weekdays.includes(getDayNameFromDateStr(dateStr))) return false;
+
+  if (series.frequency === 'fortnightly') {
+    // Only every other week, counted from the week the series started
+    const startMonday = new Date(getMondayOfDateStr(series.startDate) + 'T12:00:00');
+    const dateMonday = new Date(getMondayOfDateStr(dateStr) + 'T12:00:00');
+    const weeksApart = Math.round((dateMonday - startMonday) / (1000 * 60 * 60 * 24 * 7));
+    return weeksApart % 2 === 0;
+  }
+
+  return true;
+}
+
+// Expand a series into occurrences between two YYYY-MM-DD dates (inclusive).
+// Exceptions keyed by date override fields of that single occurrence, or remove it.
+function expandSeries(series, startStr, endStr) {
+  const occurrences = [];
+  const lastDate = series.until && series.until < endStr ? series.until : endStr;
+
+  // Series limited by count must be walked from the start to know which occurrence is the last
+  let dateStr = series.count || startStr < series.startDate ? series.startDate : startStr;
+  let generatedCount = 0;
+
+  while (dateStr <= lastDate) {
+    if (seriesMatchesDate(series, dateStr)) {
+      generatedCount++;
+      if (series.count && generatedCount > series.count) break;
+
+      const exception = (series.exceptions || {})[dateStr];
+      if (dateStr >= startStr && !(exception && exception.deleted)) {
+        occurrences.push({
+          student: series.student,
+          studentId: series.studentId,
+          day: getDayNameFromDateStr(dateStr),
+          date: dateStr,
+          start: series.start,
+          end: series.end,
+          location: series.location || null,
+          groupStudents: series.groupStudents || null,
+          classType: series.classType || null,
+          rate: series.rate !== undefined ? series.rate : null,
+          ...exception,
+          seriesId: series.id,
+          occurrenceDate: dateStr
+        });
+      }
+    }
+    dateStr = addDaysToDateStr(dateStr, 1);
+  }
+
+  return occurrences;
+}
+
+// Get occurrences of all series between two YYYY-MM-DD dates ('' as start means from the beginning)
+function getSeriesOccurrences(startStr, endStr) {
+  return classSeries.flatMap(series => expandSeries(series, startStr, endStr));
+}
+
+// Get stored classes and series occurrences on a YYYY-MM-DD date
+function getClassesOnDate(dateStr) {
+  return [...classes.filter(c => c.date === dateStr), ...getSeriesOccurrences(dateStr, dateStr)];
+}
+
+// Count how many occurrences a series generated before a date (including removed ones)
+function countSeriesOccurrencesBefore(series, dateStr) {
+  let count = 0;
+  for (let d = series.startDate; d < dateStr; d = addDaysToDateStr(d, 1)) {
+    if (seriesMatchesDate(series, d)) count++;
+  }
+  return count;
+}
+
+// Describe a series pattern for display, e.g. "Every 2 weeks on Mon, Thu until Mar 31"
+function describeSeries(series) {
+  const days = DAYS.filter(day => series.weekdays.includes(day)).map(day => day.substring(0, 3)).join(', ');
+  let text = `${series.frequency === 'fortnightly' ? 'Every 2 weeks' : 'Every week'} on ${days}`;
+  if (series.until) {
+    text += ` until ${formatDateShort(new Date(series.until + 'T12:00:00'))}`;
+  } else if (series.count) {
+    text += `, ${series.count} times`;
+  }
+  return text;
+}
+
+// Get the class currently open in the modal - a stored class or a series occurrence
+function getEditingClass() {
+  if (editingClassId !== null) return getClassById(editingClassId);
+  if (editingOccurrence) {
+    const series = getSeriesById(editingOccurrence.seriesId);
+    if (!series) return null;
+    return expandSeries(series, editingOccurrence.date, editingOccurrence.date)[0] || null;
+  }
+  return null;
+}
+
+// Apply field changes to the class open in the modal.
+// For series occurrences the changes are stored as an exception on that date.
+function updateEditingClass(changes, removeFields = []) {
+  if (editingOccurrence) {
+    const series = getSeriesById(editingOccurrence.seriesId);
+    if (!series) return;
+    const exception = { ...(series.exceptions || {})[editingOccurrence.date], ...changes };
+    removeFields.forEach(field => delete exception[field]);
+    setSeriesException(series, editingOccurrence.date, Object.keys(exception).length > 0 ? exception : null);
+    saveSeries();
+  } else if (editingClassId !== null) {
+    const cls = getClassById(editingClassId);
+    if (!cls) return;
+    Object.assign(cls, changes);
+    removeFields.forEach(field => delete cls[field]);
+    saveClasses();
+  }
+}
+
+// Set the exception for one occurrence (null clears it)
+function setSeriesException(series, dateStr, exception) {
+  series.exceptions = series.exceptions || {};
+  if (exception) {
+    series.exceptions[dateStr] = exception;
+  } else {
+    delete series.exceptions[dateStr];
+  }
+}
+
+// Ask which occurrences an action applies to - returns 'this', 'following', 'all' or null
+function askSeriesScope(action) {
+  const choice = prompt(
+    `This class is part of a repeating series. ${action}:\n\n` +
+    `1 - This class only\n` +
+    `2 - This and following classes\n` +
+    `3 - Whole series\n\n` +
+    `Enter 1, 2, or 3:`
+  );
+  return { '1': 'this', '2': 'following', '3': 'all' }[choice] || null;
+}
+
+// End a series just before a date. Returns what is left for the remaining occurrences.
+function endSeriesBefore(series, dateStr) {
+  const countBefore = countSeriesOccurrencesBefore(series, dateStr);
+  const remainingCount = series.count ? series.count - countBefore : null;
+
+  // Exceptions from this date on belong to the remaining occurrences
+  const remainingExceptions = {};
+  Object.keys(series.exceptions || {}).forEach(date => {
+    if (date >= dateStr) {
+      remainingExceptions[date] = series.exceptions[date];
+      delete series.exceptions[date];
+    }
+  });
+
+  series.until = addDaysToDateStr(dateStr, -1);
+  if (series.count) series.count = countBefore;
+
+  return { remainingCount, remainingExceptions };
+}
+
+// Create a new series starting with the given class
+function createSeries(cls, recurrence) {
+  return {
+    id: generateId('series'),
+    student: cls.student,
+    studentId: cls.studentId,
+    start: cls.start,
+    end: cls.end,
+    startDate: cls.date,
+    frequency: recurrence.frequency,
+    weekdays: recurrence.weekdays,
+    until: recurrence.until,
+    count: recurrence.count,
+    exceptions: {},
+    ...(cls.location ? { location: cls.location } : {}),
+    ...(cls.groupStudents ? { groupStudents: cls.groupStudents } : {}),
+    ...(cls.classType ? { classType: cls.classType } : {}),
+    ...(hasClassRate(cls) ? { rate: cls.rate } : {}),
+    ...(cls.makeupFor ? { makeupFor: cls.makeupFor } : {}),
+    ...(cls.allowedClash ? { allowedClash: true } : {})
+  };
+}
+
+// Apply an edit from the modal to a series occurrence for the chosen scope
+function applySeriesEdit(series, occurrenceDate, cls, recurrence, scope) {
+  // Splitting at the first occurrence is the same as changing the whole series
+  if (scope === 'following' && countSeriesOccurrencesBefore(series, occurrenceDate) === 0) {
+    scope = 'all';
+  }
+
+  if (scope === 'this') {
+    if (cls.date !== occurrenceDate) {
+      // Moved to another day - take it out of the series as a standalone class
+      setSeriesException(series, occurrenceDate, { deleted: true });
+      addClass(cls);
+      saveClasses();
+    } else {
+      const exception = {
+        ...(series.exceptions || {})[occurrenceDate],
+        student: cls.student,
+        studentId: cls.studentId,
+        start: cls.start,
+        end: cls.end,
+        location: cls.location || null,
+        groupStudents: cls.groupStudents || null,
+        classType: cls.classType || null,
+        rate: hasClassRate(cls) ? cls.rate : null
+      };
+      if (cls.allowedClash) exception.allowedClash = true;
+      setSeriesException(series, occurrenceDate, exception);
+    }
+  } else if (scope === 'following') {
+    const originalCount = series.count;
+    const { remainingCount, remainingExceptions } = endSeriesBefore(series, occurrenceDate);
+    if (recurrence) {
+      const following = createSeries({ ...cls, date: occurrenceDate }, recurrence);
+      // An unchanged count still means the series total, so carry over what is left of it
+      if (recurrence.count && recurrence.count === originalCount) following.count = remainingCount;
+      following.exceptions = remainingExceptions;
+      classSeries.push(following);
+    } else {
+      addClass(cls);
+      saveClasses();
+    }
+  } else if (recurrence) {
+    Object.assign(series, {
+      student: cls.student,
+      studentId: cls.studentId,
+      start: cls.start,
+      end: cls.end,
+      frequency: recurrence.frequency,
+      weekdays: recurrence.weekdays,
+      until: recurrence.until,
+      count: recurrence.count,
+      location: cls.location || null,
+      groupStudents: cls.groupStudents || null,
+      classType: cls.classType || null,
+      rate: hasClassRate(cls) ? cls.rate : null
+    });
+    if (cls.allowedClash) series.allowedClash = true;
+  } else {
+    // Whole series no longer repeats - keep just this class
+    classSeries = classSeries.filter(s => s.id !== series.id);
+    addClass(cls);
+    saveClasses();
+  }
+
+  saveSeries();
+}
+
+// Delete a series occurrence for the chosen scope
+function deleteSeriesOccurrence(series, occurrenceDate, scope) {
+  if (scope === 'following' && countSeriesOccurrencesBefore(series, occurrenceDate) === 0) {
+    scope = 'all';
+  }
+
+  if (scope === 'this') {
+    setSeriesException(series, occurrenceDate, { deleted: true });
+  } else if (scope === 'following') {
+    endSeriesBefore(series, occurrenceDate);
+  } else {
+    classSeries = classSeries.filter(s => s.id !== series.id);
+  }
+
+  saveSeries();
+}
+
+// Read the repeat settings from the class form - null when the class does not repeat
+function getRecurrenceFromForm(day) {
+  if (repeatSelect.value === 'none') return null;
+
+  const weekdays = [...document.querySelectorAll(".repeat-day input:checked")].map(cb => cb.value);
+  if (weekdays.length === 0) weekdays.push(day);
+
+  return {
+    frequency: repeatSelect.value,
+    weekdays,
+    until: repeatEndType.value === 'until' ? repeatUntilInput.value : null,
+    count: repeatEndType.value === 'count' ? parseInt(repeatCountInput.value) : null
+  };
+}
+
+// Validate repeat settings - returns an error message or null
+function validateRecurrence(recurrence, startDate) {
+  if (!recurrence) return null;
+  if (repeatEndType.value === 'until' && !recurrence.until) {
+    return "Please choose the date the class repeats until";
+  }
+  if (recurrence.until && recurrence.until < startDate) {
+    return "Repeat end date must be after the first class";
+  }
+  if (recurrence.count !== null && (isNaN(recurrence.count) || recurrence.count < 1)) {
+    return "Number of classes must be at least 1";
+  }
+  return null;
+}
+
+// Fill the repeat fields from a series (null resets to "Does not repeat")
+function setRecurrenceForm(series) {
+  repeatSelect.value = series ? series.frequency : 'none';
+  document.querySelectorAll(".repeat-day input").forEach(cb => {
+    cb.checked = series ? series.weekdays.includes(cb.value) : false;
+  });
+  repeatEndType.value = series && series.until ? 'until' : series && series.count ? 'count' : 'never';
+  repeatUntilInput.value = series && series.until ? series.until : '';
+  repeatCountInput.value = series && series.count ? series.count : 10;
+  updateRepeatOptionsUI();
+}
+
+function updateRepeatOptionsUI() {
+  repeatOptions.classList.toggle("hidden", repeatSelect.value === 'none');
+  repeatUntilInput.classList.toggle("hidden", repeatEndType.value !== 'until');
+  repeatCountInput.classList.toggle("hidden", repeatEndType.value !== 'count');
 }
 
 // Render Week Grid with Drag and Drop
@@ -850,8 +1519,8 @@ function renderWeekGrid() {
   weekGrid.innerHTML = "";
   const weekStart = getWeekStartDate(currentWeekOffset);
 
-  // Show drag hint if there are classes
-  if (classes.length > 0) {
+  // Show drag hint if there are classes (the month calendar has no dragging)
+  if ((classes.length > 0 || classSeries.length > 0) && scheduleMode === 'week') {
     dragHint.classList.remove("hidden");
   } else {
     dragHint.classList.add("hidden");
@@ -869,8 +1538,8 @@ function renderWeekGrid() {
     dayColumn.className = "day-column";
     dayColumn.dataset.day = day;
 
-    // Filter classes by actual date (not just day name)
-    const dayClasses = classes.filter(c => c.date === dateStr);
+    // Filter classes by actual date (not just day name), including repeating series
+    const dayClasses = getClassesOnDate(dateStr).sort((a, b) => a.start.localeCompare(b.start));
     const clashingIndices = findClashingClasses(dayClasses);
 
     dayColumn.innerHTML = `
@@ -882,30 +1551,38 @@ function renderWeekGrid() {
         ${dayClasses.length === 0
           ? '<div class="empty-slot">No classes</div>'
           : dayClasses
-              .sort((a, b) => a.start.localeCompare(b.start))
               .map((c, i) => {
-                const globalIndex = classes.indexOf(c);
                 const hasClash = clashingIndices.includes(i);
                 const isCancelled = c.cancelled;
                 const isPending = c.pendingConfirmation;
-                const cancelLabel = isCancelled ? CANCEL_REASONS[c.cancelReason] || 'Cancelled' : '';
-                const isSelected = selectedClasses.has(globalIndex);
+                const isSeries = Boolean(c.seriesId);
+                const cancelLabel = isCancelled ? (CANCEL_REASONS[c.cancelReason] || 'Cancelled') + (hasCancellationFee(c) ? ` · ${c.cancelFeePercent}% fee` : '') : '';
+                const isSelected = selectedClasses.has(c.id);
+                // Series occurrences are addressed by series and date instead of class ID
+                const dataAttrs = isSeries
+                  ? `data-series-id="${c.seriesId}" data-date="${c.occurrenceDate}"`
+                  : `data-class-id="${c.id}"`;
                 return `
-                  <div class="class-card ${hasClash ? 'clash' : ''} ${isCancelled ? 'cancelled' : ''} ${isPending ? 'pending' : ''} ${isSelected ? 'selected' : ''}"
-                       data-index="${globalIndex}"
-                       draggable="${!isCancelled && !isPending && !isSelectMode}">
-                    ${isSelectMode ? `
+                  <div class="class-card ${hasClash ? 'clash' : ''} ${isCancelled ? 'cancelled' : ''} ${isPending ? 'pending' : ''} ${isSelected ? 'selected' : ''} ${isSeries ? 'series' : ''}"
+                       ${dataAttrs}
+                       draggable="${!isSeries && !isCancelled && !isPending && !isSelectMode}">
+                    ${isSelectMode && !isSeries ? `
                       <label class="select-checkbox">
-                        <input type="checkbox" class="class-select-cb" data-index="${globalIndex}" ${isSelected ? 'checked' : ''} />
+                        <input type="checkbox" class="class-select-cb" data-class-id="${c.id}" ${isSelected ? 'checked' : ''} />
                       </label>
                     ` : ''}
                     <div class="class-card-content">
-                      <div class="student-name">${escapeHtml(c.student)}</div>
+                      <div class="student-name">${escapeHtml(getClassLabel(c))}</div>
                       <div class="class-time">${formatTime(c.start)} - ${formatTime(c.end)}</div>
+                      ${c.location && LOCATION_TYPES[c.location.type] ? `<div class="class-location">${LOCATION_ICONS[c.location.type]} ${escapeHtml(describeLocation(c.location))}</div>` : ''}
                       ${isCancelled ? `<div class="cancel-badge">${cancelLabel}</div>` : ''}
                       ${isPending ? `<div class="pending-badge">⏳ Awaiting confirmation</div>` : ''}
+                      ${isGroupClass(c) ? `<div class="group-badge" title="Group class">👥 ${c.groupStudents.length} students</div>` : ''}
+                      ${getClassType(c) ? `<div class="type-badge">${escapeHtml(getClassType(c).name)}</div>` : ''}
+                      ${c.makeupFor ? `<div class="makeup-badge" title="Make-up for ${escapeHtml(describeMakeupDate(c.makeupFor))}">↺ Make-up</div>` : ''}
+                      ${isSeries ? `<div class="series-badge" title="Repeating class">🔁 Repeats</div>` : ''}
                     </div>
-                    ${!isCancelled && !isPending && !isSelectMode ? `<button class="copy-class-btn" data-index="${globalIndex}" title="Copy to another day">⧉</button>` : ''}
+                    ${!isSeries && !isCancelled && !isPending && !isSelectMode ? `<button class="copy-class-btn" data-class-id="${c.id}" title="Copy to another day">⧉</button>` : ''}
                   </div>
                 `;
               }).join("")
@@ -920,90 +1597,574 @@ function renderWeekGrid() {
   });
 
   checkForClashes();
-}
 
-// Toggle class selection
-function toggleClassSelection(index) {
-  if (selectedClasses.has(index)) {
-    selectedClasses.delete(index);
-  } else {
-    selectedClasses.add(index);
+  // Everything that changes classes re-renders through here, so keep the other views in step
+  if (scheduleMode === 'month') {
+    renderMonthView();
+  } else if (scheduleMode === 'day') {
+    renderDayView();
   }
-  renderWeekGrid();
-  updateSelectModeUI();
 }
 
-// Update select mode UI
-function updateSelectModeUI() {
-  const selectBar = document.getElementById("selectModeBar");
-  const selectedCount = document.getElementById("selectedCount");
+// ==================== MONTH VIEW ====================
 
-  if (isSelectMode) {
-    selectBar.classList.remove("hidden");
-    selectedCount.textContent = selectedClasses.size;
-  } else {
-    selectBar.classList.add("hidden");
+// Show the week grid, month calendar or day timeline in the schedule tab.
+// dateStr picks the day (or month) to open on, otherwise it follows the week being viewed.
+function setScheduleMode(mode, dateStr = null) {
+  if (isSelectMode) exitSelectMode();
+
+  if (mode === 'month') {
+    const shown = dateStr ? new Date(dateStr + 'T12:00:00') : getWeekStartDate(currentWeekOffset);
+    const now = new Date();
+    currentMonthOffset = (shown.getFullYear() - now.getFullYear()) * 12 + shown.getMonth() - now.getMonth();
+    selectedMonthDate = null;
+  } else if (mode === 'day') {
+    if (!dateStr) {
+      // Today if it's in the week being viewed, otherwise that week's Monday
+      const todayStr = formatDateToYYYYMMDD(new Date());
+      const mondayStr = formatDateToYYYYMMDD(getWeekStartDate(currentWeekOffset));
+      dateStr = getMondayOfDateStr(todayStr) === mondayStr ? todayStr : mondayStr;
+    }
+    currentDayDate = dateStr;
+    // The class form dates new classes within currentWeekOffset
+    currentWeekOffset = getWeekOffsetOfDate(dateStr);
   }
-}
+  scheduleMode = mode;
 
-// Enter select mode
-function enterSelectMode() {
-  isSelectMode = true;
-  selectedClasses.clear();
-  renderWeekGrid();
-}
+  document.querySelectorAll(".schedule-mode-btn").forEach(btn => {
+    btn.classList.toggle("active", btn.dataset.mode === mode);
+  });
+  document.getElementById("copyWeekBtn").classList.toggle("hidden", mode !== 'week');
+  document.getElementById("selectModeBtn").classList.toggle("hidden", mode !== 'week');
+  weekGrid.classList.toggle("hidden", mode !== 'week');
+  monthView.classList.toggle("hidden", mode !== 'month');
+  dayView.classList.toggle("hidden", mode !== 'day');
 
-// Exit select mode
-function exitSelectMode() {
-  isSelectMode = false;
-  selectedClasses.clear();
+  updateWeekLabel();
   renderWeekGrid();
 }
 
-// Delete selected classes
-function deleteSelectedClasses() {
-  if (selectedClasses.size === 0) {
-    showToast("No classes selected");
-    return;
+// Prev/next buttons move by week, month or day depending on the mode
+function navigateSchedule(direction) {
+  if (scheduleMode === 'month') {
+    currentMonthOffset += direction;
+    selectedMonthDate = null;
+    updateWeekLabel();
+    renderMonthView();
+  } else if (scheduleMode === 'day') {
+    setScheduleMode('day', addDaysToDateStr(currentDayDate, direction));
+  } else {
+    navigateWeek(direction);
   }
+}
 
-  const count = selectedClasses.size;
-  if (confirm(`Are you sure you want to delete ${count} class${count > 1 ? 'es' : ''}? This cannot be undone.`)) {
-    // Sort indices in descending order to delete from end first
-    const indicesToDelete = Array.from(selectedClasses).sort((a, b) => b - a);
-    indicesToDelete.forEach(index => {
-      classes.splice(index, 1);
-    });
+// Week offset (from this week) of the week containing a YYYY-MM-DD date
+function getWeekOffsetOfDate(dateStr) {
+  const thisMonday = new Date(formatDateToYYYYMMDD(getWeekStartDate(0)) + 'T12:00:00');
+  const targetMonday = new Date(getMondayOfDateStr(dateStr) + 'T12:00:00');
+  return Math.round((targetMonday - thisMonday) / (1000 * 60 * 60 * 24 * 7));
+}
 
-    saveClasses();
-    exitSelectMode();
-    updateStudentDropdowns();
-    showToast(`Deleted ${count} class${count > 1 ? 'es' : ''}`);
-  }
+function getMonthStartDate(offset) {
+  const now = new Date();
+  return new Date(now.getFullYear(), now.getMonth() + offset, 1);
 }
 
-// Select all classes
-function selectAllClasses() {
-  classes.forEach((_, index) => {
-    selectedClasses.add(index);
+// Classes and series occurrences between two YYYY-MM-DD dates, grouped by date
+function getClassesByDate(startStr, endStr) {
+  const byDate = {};
+  const inRange = classes.filter(c => c.date && c.date >= startStr && c.date <= endStr);
+  [...inRange, ...getSeriesOccurrences(startStr, endStr)].forEach(c => {
+    if (!byDate[c.date]) byDate[c.date] = [];
+    byDate[c.date].push(c);
   });
-  renderWeekGrid();
+  Object.values(byDate).forEach(list => list.sort((a, b) => a.start.localeCompare(b.start)));
+  return byDate;
 }
 
-// Drag and Drop Handlers
-function handleDragStart(e) {
-  const card = e.target.closest(".class-card");
-  if (!card || !card.dataset.index) return;
+function renderMonthView() {
+  const monthStart = getMonthStartDate(currentMonthOffset);
+  const monthStartStr = formatDateToYYYYMMDD(monthStart);
+  const monthEnd = new Date(monthStart.getFullYear(), monthStart.getMonth() + 1, 0);
 
-  const index = parseInt(card.dataset.index);
-  // Validate index is within bounds
-  if (isNaN(index) || index < 0 || index >= classes.length) {
-    e.preventDefault();
-    return;
+  // Whole weeks, Monday to Sunday, covering the month
+  const gridStartStr = getMondayOfDateStr(monthStartStr);
+  const gridEndStr = addDaysToDateStr(getMondayOfDateStr(formatDateToYYYYMMDD(monthEnd)), 6);
+  const byDate = getClassesByDate(gridStartStr, gridEndStr);
+  const todayStr = formatDateToYYYYMMDD(new Date());
+  const monthPrefix = monthStartStr.slice(0, 7);
+
+  let cellsHtml = '';
+  for (let dateStr = gridStartStr; dateStr <= gridEndStr; dateStr = addDaysToDateStr(dateStr, 1)) {
+    const dayClasses = byDate[dateStr] || [];
+    const activeCount = dayClasses.filter(c => !c.cancelled).length;
+    const cancelledCount = dayClasses.length - activeCount;
+    const pendingCount = dayClasses.filter(c => c.pendingConfirmation && !c.cancelled).length;
+    const hasClash = findClashingClasses(dayClasses).length > 0;
+
+    const cellClasses = [
+      'month-day',
+      dateStr.slice(0, 7) !== monthPrefix ? 'other-month' : '',
+      dateStr === todayStr ? 'today' : '',
+      dateStr === selectedMonthDate ? 'selected' : '',
+      hasClash ? 'clash' : ''
+    ].filter(Boolean).join(' ');
+
+    cellsHtml += `
+      <button class="${cellClasses}" data-date="${dateStr}">
+        <span class="month-day-number">${parseInt(dateStr.slice(8), 10)}</span>
+        ${activeCount > 0 ? `<span class="month-day-count">${activeCount} class${activeCount > 1 ? 'es' : ''}</span>` : ''}
+        <span class="month-day-markers">
+          ${hasClash ? '<span class="month-marker clash" title="Time clash">⚠️</span>' : ''}
+          ${pendingCount > 0 ? `<span class="month-marker pending" title="Awaiting confirmation">⏳${pendingCount}</span>` : ''}
+          ${cancelledCount > 0 ? `<span class="month-marker cancelled" title="Cancelled">✕${cancelledCount}</span>` : ''}
+        </span>
+      </button>
+    `;
   }
 
-  draggedClassIndex = index;
-  card.classList.add("dragging");
+  monthGrid.innerHTML = `
+    ${DAYS.map(day => `<div class="month-weekday">${day.slice(0, 3)}</div>`).join('')}
+    ${cellsHtml}
+  `;
+
+  renderMonthDayAgenda(selectedMonthDate ? byDate[selectedMonthDate] || [] : null);
+}
+
+// List the selected day's classes under the calendar
+function renderMonthDayAgenda(dayClasses) {
+  if (!selectedMonthDate) {
+    monthDayAgenda.classList.add("hidden");
+    monthDayAgenda.innerHTML = "";
+    return;
+  }
+
+  const date = new Date(selectedMonthDate + 'T12:00:00');
+  const title = date.toLocaleDateString('en-IN', { weekday: 'long', day: 'numeric', month: 'long' });
+  const clashingIndices = findClashingClasses(dayClasses);
+
+  monthDayAgenda.innerHTML = `
+    <div class="month-agenda-header">
+      <h3>${title}</h3>
+      <div class="month-agenda-actions">
+        <button class="btn btn-secondary btn-sm" id="openDayBtn">Open Day</button>
+        <button class="btn btn-secondary btn-sm" id="openWeekBtn">Open Week</button>
+      </div>
+    </div>
+    ${dayClasses.length === 0
+      ? '<div class="empty-slot">No classes</div>'
+      : dayClasses.map((c, i) => {
+          const dataAttrs = c.seriesId
+            ? `data-series-id="${c.seriesId}" data-date="${c.occurrenceDate}"`
+            : `data-class-id="${c.id}"`;
+          return `
+            <div class="month-agenda-item ${clashingIndices.includes(i) ? 'clash' : ''} ${c.cancelled ? 'cancelled' : ''} ${c.pendingConfirmation ? 'pending' : ''}" ${dataAttrs}>
+              <span class="month-agenda-time">${formatTime(c.start)} - ${formatTime(c.end)}</span>
+              <span class="month-agenda-student">${isGroupClass(c) ? '👥 ' : ''}${escapeHtml(getClassLabel(c))}</span>
+              ${c.cancelled ? `<span class="cancel-badge">${CANCEL_REASONS[c.cancelReason] || 'Cancelled'}</span>` : ''}
+              ${c.pendingConfirmation ? '<span class="pending-badge">⏳ Awaiting confirmation</span>' : ''}
+              ${c.seriesId ? '<span class="series-badge" title="Repeating class">🔁</span>' : ''}
+            </div>
+          `;
+        }).join('')
+    }
+  `;
+  monthDayAgenda.classList.remove("hidden");
+}
+
+// Jump from the month calendar to the week containing a date
+function openWeekOfDate(dateStr) {
+  currentWeekOffset = getWeekOffsetOfDate(dateStr);
+  setScheduleMode('week');
+}
+
+// Handle clicks on the month calendar and day agenda using event delegation
+function handleMonthViewClick(e) {
+  const dayCell = e.target.closest(".month-day");
+  if (dayCell) {
+    // A second tap on the selected day opens its week
+    if (dayCell.dataset.date === selectedMonthDate) {
+      openWeekOfDate(selectedMonthDate);
+      return;
+    }
+    selectedMonthDate = dayCell.dataset.date;
+    renderMonthView();
+    return;
+  }
+
+  if (e.target.closest("#openWeekBtn")) {
+    openWeekOfDate(selectedMonthDate);
+    return;
+  }
+
+  if (e.target.closest("#openDayBtn")) {
+    setScheduleMode('day', selectedMonthDate);
+    return;
+  }
+
+  const item = e.target.closest(".month-agenda-item");
+  if (item) {
+    if (item.dataset.seriesId) {
+      openEditModal(null, { seriesId: item.dataset.seriesId, date: item.dataset.date });
+    } else {
+      openEditModal(item.dataset.classId);
+    }
+  }
+}
+
+// ==================== DAY VIEW ====================
+
+const TIMELINE_PX_PER_MINUTE = 1; // 60px per hour
+
+function timeToMinutes(time) {
+  return getMinutesBetween('00:00', time);
+}
+
+function minutesToTime(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// Hours shown on the timeline - working hours, stretched to fit any class outside them
+function getTimelineRange(dayClasses, hours) {
+  let startHour = Math.floor(timeToMinutes(hours.start) / 60);
+  let endHour = Math.ceil(timeToMinutes(hours.end) / 60);
+  dayClasses.forEach(c => {
+    startHour = Math.min(startHour, Math.floor(timeToMinutes(c.start) / 60));
+    endHour = Math.max(endHour, Math.ceil(timeToMinutes(c.end) / 60));
+  });
+  return { start: startHour * 60, end: Math.min(endHour, 24) * 60 };
+}
+
+// Put overlapping classes side by side: each gets a lane and the lane count of its group
+function layoutTimelineLanes(dayClasses) {
+  const layout = [];
+  let group = [];
+  let groupEnd = '';
+  let laneEnds = [];
+
+  const closeGroup = () => {
+    group.forEach(item => { item.lanes = laneEnds.length; });
+    group = [];
+    laneEnds = [];
+  };
+
+  dayClasses.forEach(cls => {
+    if (group.length > 0 && cls.start >= groupEnd) closeGroup();
+
+    let lane = laneEnds.findIndex(end => end <= cls.start);
+    if (lane === -1) {
+      lane = laneEnds.length;
+      laneEnds.push(cls.end);
+    } else {
+      laneEnds[lane] = cls.end;
+    }
+    groupEnd = group.length === 0 || cls.end > groupEnd ? cls.end : groupEnd;
+
+    const item = { cls, lane, lanes: 1 };
+    group.push(item);
+    layout.push(item);
+  });
+  closeGroup();
+
+  return layout;
+}
+
+function renderDayView() {
+  const dayClasses = getClassesOnDate(currentDayDate).sort((a, b) => a.start.localeCompare(b.start));
+  const clashingIndices = findClashingClasses(dayClasses);
+  const hours = getWorkingHours(getDayNameFromDateStr(currentDayDate));
+  const range = getTimelineRange(dayClasses, hours);
+  const toPx = (time) => (timeToMinutes(time) - range.start) * TIMELINE_PX_PER_MINUTE;
+
+  let html = hours.off ? '<div class="timeline-day-off">Day off</div>' : '';
+
+  for (let minutes = range.start; minutes <= range.end; minutes += 60) {
+    html += `
+      <div class="timeline-hour" style="top: ${(minutes - range.start) * TIMELINE_PX_PER_MINUTE}px">
+        <span class="timeline-hour-label">${formatTime(minutesToTime(minutes % (24 * 60)))}</span>
+      </div>
+    `;
+  }
+
+  findFreeGaps(currentDayDate).forEach(gap => {
+    html += `
+      <button class="timeline-gap" data-start="${gap.start}" data-end="${gap.end}"
+              style="top: ${toPx(gap.start)}px; height: ${toPx(gap.end) - toPx(gap.start)}px"
+              title="Add a class here">
+        Free · ${getDuration(gap.start, gap.end)}
+      </button>
+    `;
+  });
+
+  layoutTimelineLanes(dayClasses).forEach(({ cls, lane, lanes }) => {
+    const i = dayClasses.indexOf(cls);
+    const isSeries = Boolean(cls.seriesId);
+    const canDrag = !cls.cancelled && !cls.pendingConfirmation;
+    const dataAttrs = isSeries
+      ? `data-series-id="${cls.seriesId}" data-date="${cls.occurrenceDate}"`
+      : `data-class-id="${cls.id}"`;
+
+    html += `
+      <div class="timeline-class ${clashingIndices.includes(i) ? 'clash' : ''} ${cls.cancelled ? 'cancelled' : ''} ${cls.pendingConfirmation ? 'pending' : ''} ${isSeries ? 'series' : ''} ${canDrag ? 'draggable' : ''}"
+           ${dataAttrs}
+           style="top: ${toPx(cls.start)}px; height: ${toPx(cls.end) - toPx(cls.start)}px; left: ${(lane / lanes) * 100}%; width: ${100 / lanes}%">
+        <div class="timeline-class-content">
+          <span class="student-name">${isGroupClass(cls) ? '👥 ' : ''}${escapeHtml(getClassLabel(cls))}</span>
+          <span class="class-time">${formatTime(cls.start)} - ${formatTime(cls.end)}</span>
+          ${cls.location && LOCATION_TYPES[cls.location.type] ? `<span class="class-location">${LOCATION_ICONS[cls.location.type]} ${escapeHtml(describeLocation(cls.location))}</span>` : ''}
+          ${cls.cancelled ? `<span class="cancel-badge">${CANCEL_REASONS[cls.cancelReason] || 'Cancelled'}</span>` : ''}
+          ${cls.pendingConfirmation ? '<span class="pending-badge">⏳</span>' : ''}
+          ${isSeries ? '<span class="series-badge" title="Repeating class">🔁</span>' : ''}
+        </div>
+        ${canDrag ? '<div class="timeline-resize-handle" title="Drag to change end time"></div>' : ''}
+      </div>
+    `;
+  });
+
+  html += '<div class="timeline-now hidden" id="timelineNow"></div>';
+
+  dayTimeline.innerHTML = html;
+  dayTimeline.style.height = `${(range.end - range.start) * TIMELINE_PX_PER_MINUTE}px`;
+  dayTimeline.dataset.rangeStart = range.start;
+  dayTimeline.dataset.rangeEnd = range.end;
+  updateTimelineNowLine();
+}
+
+// Position the "now" line when today is shown
+function updateTimelineNowLine() {
+  const nowLine = document.getElementById("timelineNow");
+  if (!nowLine || scheduleMode !== 'day') return;
+
+  const now = new Date();
+  const minutes = now.getHours() * 60 + now.getMinutes();
+  const rangeStart = parseInt(dayTimeline.dataset.rangeStart);
+  const rangeEnd = parseInt(dayTimeline.dataset.rangeEnd);
+  const isShown = currentDayDate === formatDateToYYYYMMDD(now) && minutes >= rangeStart && minutes <= rangeEnd;
+
+  nowLine.classList.toggle("hidden", !isShown);
+  nowLine.style.top = `${(minutes - rangeStart) * TIMELINE_PX_PER_MINUTE}px`;
+}
+
+function getTimelineClass(card) {
+  if (card.dataset.seriesId) {
+    const series = getSeriesById(card.dataset.seriesId);
+    return series ? expandSeries(series, card.dataset.date, card.dataset.date)[0] || null : null;
+  }
+  return getClassById(card.dataset.classId);
+}
+
+// Start moving (drag the card) or resizing (drag the bottom handle) a class
+function handleTimelinePointerDown(e) {
+  const card = e.target.closest(".timeline-class.draggable");
+  if (!card || e.button > 0) return;
+
+  const cls = getTimelineClass(card);
+  if (!cls) return;
+
+  timelineDrag = {
+    card,
+    cls,
+    mode: e.target.closest(".timeline-resize-handle") ? 'resize' : 'move',
+    startY: e.clientY,
+    start: timeToMinutes(cls.start),
+    end: timeToMinutes(cls.end),
+    newStart: cls.start,
+    newEnd: cls.end,
+    moved: false
+  };
+
+  card.setPointerCapture(e.pointerId);
+  card.addEventListener("pointermove", handleTimelinePointerMove);
+  card.addEventListener("pointerup", handleTimelinePointerUp);
+  card.addEventListener("pointercancel", handleTimelinePointerUp);
+}
+
+function handleTimelinePointerMove(e) {
+  if (!timelineDrag) return;
+  const drag = timelineDrag;
+
+  const deltaPx = e.clientY - drag.startY;
+  if (!drag.moved && Math.abs(deltaPx) < 5) return;
+  drag.moved = true;
+
+  const rangeStart = parseInt(dayTimeline.dataset.rangeStart);
+  const step = scheduleSettings.slotStep;
+  const rangeEnd = Math.min(parseInt(dayTimeline.dataset.rangeEnd), 24 * 60 - step);
+  const delta = Math.round(deltaPx / TIMELINE_PX_PER_MINUTE / step) * step;
+
+  let start = drag.start;
+  let end = drag.end;
+  if (drag.mode === 'move') {
+    const length = drag.end - drag.start;
+    start = Math.min(Math.max(drag.start + delta, rangeStart), rangeEnd - length);
+    end = start + length;
+  } else {
+    end = Math.min(Math.max(drag.end + delta, drag.start + step), rangeEnd);
+  }
+
+  drag.newStart = minutesToTime(start);
+  drag.newEnd = minutesToTime(end);
+
+  drag.card.classList.add("dragging");
+  drag.card.style.top = `${(start - rangeStart) * TIMELINE_PX_PER_MINUTE}px`;
+  drag.card.style.height = `${(end - start) * TIMELINE_PX_PER_MINUTE}px`;
+  drag.card.querySelector(".class-time").textContent = `${formatTime(drag.newStart)} - ${formatTime(drag.newEnd)}`;
+  drag.card.classList.toggle("drag-over-clash", timelineDragClashes(drag));
+}
+
+function timelineDragClashes(drag) {
+  const testClass = { ...drag.cls, start: drag.newStart, end: drag.newEnd };
+  return drag.cls.seriesId
+    ? hasClash(testClass, null, { seriesId: drag.cls.seriesId, date: drag.cls.occurrenceDate })
+    : hasClash(testClass, drag.cls.id);
+}
+
+// Save the new times, or treat it as a tap and open the class
+function handleTimelinePointerUp(e) {
+  if (!timelineDrag) return;
+  const drag = timelineDrag;
+  timelineDrag = null;
+
+  drag.card.removeEventListener("pointermove", handleTimelinePointerMove);
+  drag.card.removeEventListener("pointerup", handleTimelinePointerUp);
+  drag.card.removeEventListener("pointercancel", handleTimelinePointerUp);
+
+  if (!drag.moved) return; // The click handler opens the class
+  // Swallow the click that follows the drag
+  drag.card.dataset.dragged = "true";
+
+  if (e.type === 'pointercancel' || (drag.newStart === drag.cls.start && drag.newEnd === drag.cls.end)) {
+    renderDayView();
+    return;
+  }
+
+  if (timelineDragClashes(drag)) {
+    showToast("Cannot move here - time clash detected!");
+    renderDayView();
+    return;
+  }
+
+  recordUndo(drag.mode === 'resize' ? "Change class length" : "Move class");
+  if (drag.cls.seriesId) {
+    // Only this occurrence changes - stored as an exception on the series
+    const series = getSeriesById(drag.cls.seriesId);
+    const exception = { ...(series.exceptions || {})[drag.cls.occurrenceDate], start: drag.newStart, end: drag.newEnd };
+    setSeriesException(series, drag.cls.occurrenceDate, exception);
+    saveSeries();
+  } else {
+    drag.cls.start = drag.newStart;
+    drag.cls.end = drag.newEnd;
+    saveClasses();
+  }
+
+  showUndoToast(`${drag.cls.student}'s class now ${formatTime(drag.newStart)} - ${formatTime(drag.newEnd)}`);
+  renderWeekGrid();
+}
+
+function handleTimelineClick(e) {
+  const card = e.target.closest(".timeline-class");
+  if (card) {
+    if (card.dataset.dragged) {
+      delete card.dataset.dragged;
+      return;
+    }
+    if (card.dataset.seriesId) {
+      openEditModal(null, { seriesId: card.dataset.seriesId, date: card.dataset.date });
+    } else {
+      openEditModal(card.dataset.classId);
+    }
+    return;
+  }
+
+  // Tap a free gap to add a class there
+  const gap = e.target.closest(".timeline-gap");
+  if (gap) {
+    openAddModal();
+    daySelect.value = getDayNameFromDateStr(currentDayDate);
+    startTimeInput.value = gap.dataset.start;
+    const length = Math.min(selectedDuration, getMinutesBetween(gap.dataset.start, gap.dataset.end));
+    endTimeInput.value = addMinutesToTime(gap.dataset.start, length);
+    renderQuickSlots();
+    checkFormClash();
+  }
+}
+
+// Toggle class selection
+function toggleClassSelection(classId) {
+  if (selectedClasses.has(classId)) {
+    selectedClasses.delete(classId);
+  } else {
+    selectedClasses.add(classId);
+  }
+  renderWeekGrid();
+  updateSelectModeUI();
+}
+
+// Update select mode UI
+function updateSelectModeUI() {
+  const selectBar = document.getElementById("selectModeBar");
+  const selectedCount = document.getElementById("selectedCount");
+
+  if (isSelectMode) {
+    selectBar.classList.remove("hidden");
+    selectedCount.textContent = selectedClasses.size;
+  } else {
+    selectBar.classList.add("hidden");
+  }
+}
+
+// Enter select mode
+function enterSelectMode() {
+  isSelectMode = true;
+  selectedClasses.clear();
+  renderWeekGrid();
+}
+
+// Exit select mode
+function exitSelectMode() {
+  isSelectMode = false;
+  selectedClasses.clear();
+  renderWeekGrid();
+}
+
+// Delete selected classes
+function deleteSelectedClasses() {
+  if (selectedClasses.size === 0) {
+    showToast("No classes selected");
+    return;
+  }
+
+  const count = selectedClasses.size;
+  if (confirm(`Are you sure you want to delete ${count} class${count > 1 ? 'es' : ''}?`)) {
+    recordUndo(`Delete ${count} class${count > 1 ? 'es' : ''}`);
+    removeClasses(Array.from(selectedClasses));
+    saveClasses();
+    exitSelectMode();
+    updateStudentDropdowns();
+    showUndoToast(`Deleted ${count} class${count > 1 ? 'es' : ''}`);
+  }
+}
+
+// Select all classes
+function selectAllClasses() {
+  classes.forEach(cls => {
+    selectedClasses.add(cls.id);
+  });
+  renderWeekGrid();
+}
+
+// Drag and Drop Handlers
+function handleDragStart(e) {
+  const card = e.target.closest(".class-card");
+  if (!card || !card.dataset.classId) return;
+
+  if (!getClassById(card.dataset.classId)) {
+    e.preventDefault();
+    return;
+  }
+
+  draggedClassId = card.dataset.classId;
+  card.classList.add("dragging");
 
   if (isCopyDrag) {
     card.classList.add("drag-copy");
@@ -1011,7 +2172,7 @@ function handleDragStart(e) {
 
   // Set drag data
   e.dataTransfer.effectAllowed = isCopyDrag ? "copy" : "move";
-  e.dataTransfer.setData("text/plain", draggedClassIndex);
+  e.dataTransfer.setData("text/plain", draggedClassId);
 }
 
 function handleDragEnd(e) {
@@ -1019,7 +2180,7 @@ function handleDragEnd(e) {
   if (card) {
     card.classList.remove("dragging", "drag-copy");
   }
-  draggedClassIndex = null;
+  draggedClassId = null;
 
   // Remove all drag-over states
   document.querySelectorAll(".day-column").forEach(col => {
@@ -1034,16 +2195,13 @@ function handleDragOver(e) {
 
   const targetDay = dayColumn.dataset.day;
 
-  // Validate draggedClassIndex
-  if (draggedClassIndex === null || draggedClassIndex < 0 || draggedClassIndex >= classes.length) return;
-
-  const draggedClass = classes[draggedClassIndex];
+  const draggedClass = getClassById(draggedClassId);
   if (!draggedClass) return;
 
   const testClass = { ...draggedClass, day: targetDay };
 
   // Check if dropping here would cause a clash
-  const wouldClash = hasClash(testClass, isCopyDrag ? null : draggedClassIndex);
+  const wouldClash = hasClash(testClass, isCopyDrag ? null : draggedClassId);
 
   dayColumn.classList.remove("drag-over", "drag-over-clash");
   if (wouldClash) {
@@ -1071,10 +2229,7 @@ function handleDrop(e) {
 
   dayColumn.classList.remove("drag-over", "drag-over-clash");
 
-  // Validate draggedClassIndex before accessing classes array
-  if (draggedClassIndex === null || draggedClassIndex < 0 || draggedClassIndex >= classes.length) return;
-
-  const draggedClass = classes[draggedClassIndex];
+  const draggedClass = getClassById(draggedClassId);
   if (!draggedClass) return;
 
   // Calculate the date for the target day within the current week
@@ -1087,8 +2242,8 @@ function handleDrop(e) {
   const newClass = { ...draggedClass, day: targetDay, date: targetDateStr };
 
   // Check for clash
-  const excludeIndex = isCopyDrag ? null : draggedClassIndex;
-  if (hasClash(newClass, excludeIndex)) {
+  const excludeId = isCopyDrag ? null : draggedClassId;
+  if (hasClash(newClass, excludeId)) {
     showToast("Cannot drop here - time clash detected!");
     return;
   }
@@ -1098,12 +2253,15 @@ function handleDrop(e) {
     delete newClass.cancelled;
     delete newClass.cancelReason;
     delete newClass.pendingConfirmation;
-    classes.push(newClass);
-    showToast(`Copied ${draggedClass.student}'s class to ${targetDay}`);
+    UNCOPIED_CLASS_FIELDS.forEach(field => delete newClass[field]);
+    recordUndo("Copy class");
+    addClass(newClass);
+    showUndoToast(`Copied ${draggedClass.student}'s class to ${targetDay}`);
   } else {
     // Move the class
-    classes[draggedClassIndex] = newClass;
-    showToast(`Moved ${draggedClass.student}'s class to ${targetDay}`);
+    recordUndo("Move class");
+    replaceClass(draggedClassId, newClass);
+    showUndoToast(`Moved ${draggedClass.student}'s class to ${targetDay}`);
   }
 
   saveClasses();
@@ -1112,7 +2270,8 @@ function handleDrop(e) {
 }
 
 // Toast notification
-function showToast(message) {
+// action ({ label, onClick }) adds a button to the toast, e.g. Undo
+function showToast(message, duration = 2000, action = null) {
   // Remove existing toast
   const existingToast = document.querySelector(".toast");
   if (existingToast) {
@@ -1122,6 +2281,16 @@ function showToast(message) {
   const toast = document.createElement("div");
   toast.className = "toast";
   toast.textContent = message;
+  if (action) {
+    const actionBtn = document.createElement("button");
+    actionBtn.className = "toast-action";
+    actionBtn.textContent = action.label;
+    actionBtn.addEventListener("click", () => {
+      toast.remove();
+      action.onClick();
+    });
+    toast.appendChild(actionBtn);
+  }
   toast.style.cssText = `
     position: fixed;
     bottom: 100px;
@@ -1142,17 +2311,80 @@ function showToast(message) {
     toast.style.opacity = "0";
     toast.style.transition = "opacity 0.3s";
     setTimeout(() => toast.remove(), 300);
-  }, 2000);
+  }, duration);
+}
+
+// ==================== UNDO / REDO ====================
+
+// Schedule changes (adds, edits, deletes, moves and copies) can be undone for the rest of the
+// session. Each history entry is a snapshot of classes and series from just before a change.
+const UNDO_LIMIT = 50;
+let undoStack = [];
+let redoStack = [];
+
+function takeScheduleSnapshot() {
+  return { classes: JSON.stringify(classes), classSeries: JSON.stringify(classSeries) };
+}
+
+// Call just before changing classes or series. Bulk changes that may end up changing
+// nothing take the snapshot first and only record it if something changed.
+function recordUndo(label, snapshot = takeScheduleSnapshot()) {
+  undoStack.push({ label, ...snapshot });
+  if (undoStack.length > UNDO_LIMIT) undoStack.shift();
+  redoStack = [];
+}
+
+// After an import, restore or other change the snapshots don't cover, older snapshots would undo it
+function clearUndoHistory() {
+  undoStack = [];
+  redoStack = [];
+}
+
+function restoreScheduleSnapshot(snapshot) {
+  classes = JSON.parse(snapshot.classes);
+  classSeries = JSON.parse(snapshot.classSeries);
+  saveClasses();
+  saveSeries();
+  renderWeekGrid();
+  updateStudentDropdowns();
+  renderReport();
+}
+
+function undoScheduleChange() {
+  const entry = undoStack.pop();
+  if (!entry) {
+    showToast("Nothing to undo");
+    return;
+  }
+  redoStack.push({ label: entry.label, ...takeScheduleSnapshot() });
+  restoreScheduleSnapshot(entry);
+  showToast(`Undone: ${entry.label}`, 4000, { label: "Redo", onClick: redoScheduleChange });
+}
+
+function redoScheduleChange() {
+  const entry = redoStack.pop();
+  if (!entry) {
+    showToast("Nothing to redo");
+    return;
+  }
+  undoStack.push({ label: entry.label, ...takeScheduleSnapshot() });
+  restoreScheduleSnapshot(entry);
+  showToast(`Redone: ${entry.label}`, 4000, { label: "Undo", onClick: undoScheduleChange });
+}
+
+// Toast after a schedule change, offering to undo it
+function showUndoToast(message, duration = 5000) {
+  showToast(message, duration, { label: "Undo", onClick: undoScheduleChange });
 }
 
-// Find clashing classes within a day (ignoring cancelled classes)
+// Find clashing classes within a day - overlapping or too close for the buffer (ignoring cancelled classes)
 function findClashingClasses(dayClasses) {
   const clashing = [];
   for (let i = 0; i < dayClasses.length; i++) {
     if (dayClasses[i].cancelled) continue; // Skip cancelled classes
     for (let j = i + 1; j < dayClasses.length; j++) {
       if (dayClasses[j].cancelled) continue; // Skip cancelled classes
-      if (timesOverlap(dayClasses[i], dayClasses[j])) {
+      if (classesConflict(dayClasses[i], dayClasses[j])) {
         if (!clashing.includes(i)) clashing.push(i);
         if (!clashing.includes(j)) clashing.push(j);
       }
@@ -1166,28 +2398,128 @@ function timesOverlap(a, b) {
   return a.start < b.end && b.start < a.end;
 }
 
-// Check for clashes and show/hide warning banner
+// Buffer (travel/break time) a class needs around it - its location's own buffer if set, otherwise the global one
+function getBufferMinutes(cls) {
+  const type = cls && cls.location && cls.location.type;
+  const locationBuffer = type ? scheduleSettings.locationBuffers[type] : undefined;
+  return locationBuffer !== undefined ? locationBuffer : scheduleSettings.bufferMinutes;
+}
+
+// Minutes needed between two classes - the larger of their buffers
+function getRequiredGap(a, b) {
+  return Math.max(getBufferMinutes(a), getBufferMinutes(b));
+}
+
+// Minutes from the end of the earlier class to the start of the later one
+function getGapBetween(a, b) {
+  return a.start <= b.start ? getMinutesBetween(a.end, b.start) : getMinutesBetween(b.end, a.start);
+}
+
+// Check if two classes overlap or sit closer together than the buffer they need
+function classesConflict(a, b) {
+  return timesOverlap(a, b) || getGapBetween(a, b) < getRequiredGap(a, b);
+}
+
+// e.g. "only 5 min gap, 20 min needed"
+function describeGapShortfall(a, b) {
+  return `only ${getGapBetween(a, b)} min gap, ${getRequiredGap(a, b)} min needed`;
+}
+
+// Location chosen in the class form or null
+function getLocationFromForm() {
+  const type = locationTypeSelect.value;
+  if (!type) return null;
+
+  const detail = locationDetailInput.value.trim();
+  if (!detail) return { type };
+  return type === 'online' ? { type, url: normalizeMeetingUrl(detail) } : { type, address: detail };
+}
+
+function setLocationForm(location) {
+  locationTypeSelect.value = (location && location.type) || '';
+  locationDetailInput.value = location ? location.url || location.address || '' : '';
+  updateLocationFormUI();
+}
+
+// Links pasted without a scheme still open
+function normalizeMeetingUrl(url) {
+  return /^https?:\/\//i.test(url) ? url : `https://${url}`;
+}
+
+function isValidMeetingUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return (parsed.protocol === 'https:' || parsed.protocol === 'http:') && parsed.hostname.includes('.');
+  } catch (e) {
+    return false;
+  }
+}
+
+// Label the detail field for the chosen type and offer Join/Directions when possible
+function updateLocationFormUI() {
+  const type = locationTypeSelect.value;
+  const detailGroup = document.getElementById("locationDetailGroup");
+  detailGroup.classList.toggle("hidden", !type);
+  document.getElementById("locationDetailLabel").textContent = type === 'online' ? 'Meeting Link' : 'Address';
+  locationDetailInput.placeholder = type === 'online' ? 'https://meet.google.com/...' : 'Optional';
+
+  const location = getLocationFromForm();
+  const action = getLocationAction(location);
+  if (action) {
+    locationActionBtn.href = action.url;
+    locationActionBtn.textContent = action.label;
+    locationActionBtn.classList.remove("hidden");
+  } else {
+    locationActionBtn.classList.add("hidden");
+  }
+}
+
+// One-tap action for a location: join the meeting or get directions to the address.
+// Links from imports and backups are only followed when they are http(s).
+function getLocationAction(location) {
+  if (!location) return null;
+  if (location.url) return isValidMeetingUrl(location.url) ? { label: '🎥 Join', url: location.url } : null;
+  if (location.address) {
+    return { label: '🧭 Directions', url: `https://www.google.com/maps/dir/?api=1&destination=${encodeURIComponent(location.address)}` };
+  }
+  return null;
+}
+
+// Short text for cards and reminders, e.g. "Home visit · 12 MG Road"
+function describeLocation(location) {
+  if (!location || !LOCATION_TYPES[location.type]) return '';
+  return location.address ? `${LOCATION_TYPES[location.type]} · ${location.address}` : LOCATION_TYPES[location.type];
+}
+
+// Check the displayed week for clashes and show/hide the warning banner, explaining each one
 function checkForClashes() {
-  let hasClashFlag = false;
+  const issues = [];
+  const weekStart = formatDateToYYYYMMDD(getWeekStartDate(currentWeekOffset));
 
-  DAYS.forEach(day => {
-    const dayClasses = classes.filter(c => c.day === day && !c.cancelled);
+  DAYS.forEach((day, dayIndex) => {
+    const dayClasses = getClassesOnDate(addDaysToDateStr(weekStart, dayIndex))
+      .filter(c => !c.cancelled)
+      .sort((a, b) => a.start.localeCompare(b.start));
 
     // Check each pair for unexpected clashes
     for (let i = 0; i < dayClasses.length; i++) {
       for (let j = i + 1; j < dayClasses.length; j++) {
-        if (timesOverlap(dayClasses[i], dayClasses[j])) {
-          // Only show warning if NEITHER class has allowedClash flag
-          // (if one has it, the user intentionally allowed this pair)
-          if (!dayClasses[i].allowedClash && !dayClasses[j].allowedClash) {
-            hasClashFlag = true;
-          }
-        }
+        const a = dayClasses[i];
+        const b = dayClasses[j];
+        // Only show warning if NEITHER class has allowedClash flag
+        // (if one has it, the user intentionally allowed this pair)
+        if (!classesConflict(a, b) || a.allowedClash || b.allowedClash) continue;
+
+        const reason = timesOverlap(a, b) ? 'times overlap' : describeGapShortfall(a, b);
+        issues.push(`${day}: ${escapeHtml(getClassLabel(a))} & ${escapeHtml(getClassLabel(b))} - ${reason}`);
       }
     }
   });
 
-  if (hasClashFlag) {
+  if (issues.length > 0) {
+    const shown = issues.slice(0, 3).map(issue => `<div class="clash-detail">${issue}</div>`).join('');
+    const more = issues.length > 3 ? `<div class="clash-detail">+${issues.length - 3} more</div>` : '';
+    clashWarning.innerHTML = `⚠️ Time clashes detected! Check highlighted slots.${shown}${more}`;
     clashWarning.classList.remove("hidden");
   } else {
     clashWarning.classList.add("hidden");
@@ -1196,7 +2528,8 @@ function checkForClashes() {
 
 // Modal Functions
 function openAddModal() {
-  editingIndex = null;
+  editingClassId = null;
+  editingOccurrence = null;
   modalTitle.textContent = "Add New Class";
   deleteBtn.classList.add("hidden");
   duplicateBtn.classList.add("hidden");
@@ -1214,19 +2547,21 @@ function openAddModal() {
   existingStudentSelect.focus();
 }
 
-function openEditModal(index) {
-  // Validate index bounds
-  if (index < 0 || index >= classes.length) {
-    console.error('openEditModal: Invalid class index', index);
+// Open the edit modal for a stored class (by ID) or a series occurrence ({ seriesId, date })
+function openEditModal(classId, occurrence = null) {
+  editingClassId = occurrence ? null : classId;
+  editingOccurrence = occurrence;
+
+  const cls = getEditingClass();
+  if (!cls) {
+    editingClassId = null;
+    editingOccurrence = null;
     return;
   }
 
-  const cls = classes[index];
-  if (!cls) return;
-
-  editingIndex = index;
+  const series = occurrence ? getSeriesById(occurrence.seriesId) : null;
 
-  modalTitle.textContent = "Edit Class";
+  modalTitle.textContent = series ? "Edit Repeating Class" : "Edit Class";
   deleteBtn.classList.remove("hidden");
   duplicateBtn.classList.remove("hidden");
 
@@ -1235,6 +2570,8 @@ function openEditModal(index) {
     cancelSection.classList.add("hidden");
     restoreSection.classList.remove("hidden");
     cancelReasonSpan.textContent = CANCEL_REASONS[cls.cancelReason] || 'Unknown';
+    updateCancelFeeSection(cls);
+    updateMakeupRestoreSection(cls);
     copyToDaySection.classList.add("hidden");
     pendingConfirmSection.classList.add("hidden");
     checkWithStudentBtn.classList.add("hidden");
@@ -1250,7 +2587,8 @@ function openEditModal(index) {
     restoreSection.classList.add("hidden");
     copyToDaySection.classList.remove("hidden");
     pendingConfirmSection.classList.add("hidden");
-    checkWithStudentBtn.classList.remove("hidden"); // Show for confirmed classes to resend
+    // Show for confirmed classes to resend (single classes only)
+    checkWithStudentBtn.classList.toggle("hidden", Boolean(series));
   }
 
   // Set student - check if exists in dropdown
@@ -1267,6 +2605,10 @@ function openEditModal(index) {
   daySelect.value = cls.day;
   startTimeInput.value = cls.start;
   endTimeInput.value = cls.end;
+  setRecurrenceForm(series);
+  setLocationForm(cls.location);
+  setGroupForm(cls);
+  setClassTypeForm(cls);
 
   // Calculate and set duration
   const duration = getMinutesBetween(cls.start, cls.end);
@@ -1275,11 +2617,8 @@ function openEditModal(index) {
     btn.classList.toggle("active", parseInt(btn.dataset.minutes) === duration);
   });
 
-  // Highlight matching quick slot if any
-  document.querySelectorAll(".quick-slot").forEach(slot => {
-    const matches = slot.dataset.start === cls.start && slot.dataset.end === cls.end;
-    slot.classList.toggle("active", matches);
-  });
+  // Quick slots for this day, highlighting the matching one if any
+  renderQuickSlots();
 
   // Reset copy-to-day checkboxes
   document.querySelectorAll(".day-checkbox input").forEach(cb => {
@@ -1298,7 +2637,8 @@ function openEditModal(index) {
 function closeModal() {
   modal.classList.add("hidden");
   classForm.reset();
-  editingIndex = null;
+  editingClassId = null;
+  editingOccurrence = null;
   resetFormUI();
 }
 
@@ -1311,18 +2651,23 @@ function resetFormUI() {
   pendingConfirmSection.classList.add("hidden");
   checkWithStudentBtn.classList.add("hidden");
   allowClashOverride = false; // Reset clash override flag
+  makeupForClass = null;
+  makeupSection.classList.add("hidden");
+  setRecurrenceForm(null);
+  setLocationForm(null);
+  setGroupForm(null);
+  setClassTypeForm(null);
+
+  document.getElementById("workingHoursNote").classList.add("hidden");
 
   // Reset duration to default
-  selectedDuration = 60;
+  selectedDuration = scheduleSettings.defaultDuration;
   document.querySelectorAll(".duration-btn").forEach(btn => {
-    btn.classList.toggle("active", btn.dataset.minutes === "60");
+    btn.classList.toggle("active", parseInt(btn.dataset.minutes) === selectedDuration);
   });
 
-  // Clear quick slot selection
-  document.querySelectorAll(".quick-slot").forEach(s => {
-    s.classList.remove("active");
-    s.classList.remove("clash");
-  });
+  // Rebuild quick slots (clears selection and clash marks)
+  renderQuickSlots();
 
   // Reset day checkboxes
   document.querySelectorAll(".day-checkbox input").forEach(cb => {
@@ -1340,10 +2685,11 @@ function updateQuickSlotsClashState() {
     const testClass = {
       day,
       start: slot.dataset.start,
-      end: slot.dataset.end
+      end: slot.dataset.end,
+      location: getLocationFromForm()
     };
 
-    const wouldClash = hasClash(testClass, editingIndex);
+    const wouldClash = hasClash(testClass, editingClassId, editingOccurrence);
     slot.classList.toggle("clash", wouldClash);
   });
 }
@@ -1371,7 +2717,7 @@ function updateCopyToDayClashState() {
     checkbox.disabled = false;
     label.style.opacity = "1";
 
-    const testClass = { day, start, end };
+    const testClass = { day, start, end, location: getLocationFromForm() };
     const wouldClash = hasClash(testClass);
     label.classList.toggle("has-clash", wouldClash);
   });
@@ -1399,6 +2745,8 @@ function handleCopyToDays() {
   }
 
   const weekStart = getWeekStartDate(currentWeekOffset);
+  const student = getOrCreateStudent(studentName);
+  const snapshot = takeScheduleSnapshot();
   let addedCount = 0;
   let skippedCount = 0;
 
@@ -1410,15 +2758,18 @@ function handleCopyToDays() {
     const targetDateStr = formatDateToYYYYMMDD(targetDate);
 
     const newClass = {
-      student: studentName,
+      student: student.name,
+      studentId: student.id,
       day,
       date: targetDateStr,
       start,
       end
     };
+    const location = getLocationFromForm();
+    if (location) newClass.location = location;
 
     if (!hasClash(newClass)) {
-      classes.push(newClass);
+      addClass(newClass);
       addedCount++;
     } else {
       skippedCount++;
@@ -1426,6 +2777,7 @@ function handleCopyToDays() {
   });
 
   if (addedCount > 0) {
+    recordUndo("Copy to days", snapshot);
     saveClasses();
     renderWeekGrid();
     updateStudentDropdowns();
@@ -1436,7 +2788,12 @@ function handleCopyToDays() {
     cb.checked = false;
   });
 
-  showToast(`Copied to ${addedCount} day(s)${skippedCount > 0 ? `, ${skippedCount} skipped (clash)` : ''}`);
+  const message = `Copied to ${addedCount} day(s)${skippedCount > 0 ? `, ${skippedCount} skipped (clash)` : ''}`;
+  if (addedCount > 0) {
+    showUndoToast(message);
+  } else {
+    showToast(message);
+  }
 }
 
 // Form Handling
@@ -1464,6 +2821,36 @@ function handleFormSubmit(e) {
     start: startTimeInput.value,
     end: endTimeInput.value
   };
+  const location = getLocationFromForm();
+  if (location) cls.location = location;
+  if (location && location.url && !isValidMeetingUrl(location.url)) {
+    alert("Please enter a valid meeting link, e.g. https://meet.google.com/abc-defg-hij");
+    return;
+  }
+
+  const groupStudents = getGroupStudentsFromForm(studentName);
+  const groupError = validateGroupStudents(groupStudents);
+  if (groupError) {
+    alert(groupError);
+    return;
+  }
+  if (groupStudents) cls.groupStudents = groupStudents;
+
+  // A make-up class stays linked to the cancelled class it makes up for
+  const editingClass = getEditingClass();
+  const makeupFor = makeupForClass ? getMakeupLink(makeupForClass) : editingClass && editingClass.makeupFor;
+  if (makeupFor) cls.makeupFor = makeupFor;
+
+  const classType = classTypeSelect.value;
+  if (classType) cls.classType = classType;
+  const classRate = classRateInput.value.trim();
+  if (classRate !== '') {
+    if (isNaN(Number(classRate)) || Number(classRate) < 0) {
+      alert("Please enter a rate of 0 or more, or leave it blank for the usual rate");
+      return;
+    }
+    cls.rate = Number(classRate);
+  }
 
   // Validate end time is after start time
   if (cls.end <= cls.start) {
@@ -1471,9 +2858,17 @@ function handleFormSubmit(e) {
     return;
   }
 
+  const recurrence = getRecurrenceFromForm(cls.day);
+  const recurrenceError = validateRecurrence(recurrence, cls.date);
+  if (recurrenceError) {
+    alert(recurrenceError);
+    return;
+  }
+
   // Check for clashes (excluding current class if editing)
-  if (hasClash(cls, editingIndex) && !allowClashOverride) {
-    formClashWarning.classList.remove("hidden");
+  const clashWith = findClashWith(cls, editingClassId, editingOccurrence);
+  if (clashWith && !allowClashOverride) {
+    showFormClashWarning(cls, clashWith);
     showSuggestedSlots(cls.day);
     return;
   }
@@ -1483,21 +2878,38 @@ function handleFormSubmit(e) {
     cls.allowedClash = true;
   }
 
-  if (editingIndex !== null) {
-    classes[editingIndex] = cls;
+  const series = editingOccurrence ? getSeriesById(editingOccurrence.seriesId) : null;
+  const scope = series ? askSeriesScope("Apply changes to") : null;
+  if (editingOccurrence && !scope) return;
+
+  linkClassToStudent(cls);
+  const isNew = editingClassId === null && !editingOccurrence;
+  recordUndo(isNew ? "Add class" : "Edit class");
+
+  if (editingOccurrence) {
+    applySeriesEdit(series, editingOccurrence.date, cls, recurrence, scope);
+  } else if (recurrence) {
+    // A repeating class is stored as a series; an edited single class becomes its first occurrence
+    if (editingClassId !== null) {
+      removeClasses([editingClassId]);
+      saveClasses();
+    }
+    classSeries.push(createSeries(cls, recurrence));
+    saveSeries();
   } else {
-    classes.push(cls);
+    if (editingClassId !== null) {
+      replaceClass(editingClassId, cls);
+    } else {
+      addClass(cls);
+    }
+    saveClasses();
   }
 
-  saveClasses();
   closeModal();
   renderWeekGrid();
   updateStudentDropdowns();
 
-  // Show toast if saved with clash
-  if (allowClashOverride) {
-    showToast("Class saved with time clash");
-  }
+  showUndoToast(allowClashOverride ? "Class saved with time clash" : isNew ? "Class added" : "Class saved");
 }
 
 // Handle Allow Clash button click
@@ -1534,6 +2946,11 @@ function handleCheckWithStudent() {
     return;
   }
 
+  if (repeatSelect.value !== 'none') {
+    alert("Check with Student works for single classes. Set Repeat to \"Does not repeat\" or save the repeating class directly.");
+    return;
+  }
+
   const cls = {
     student: studentName,
     day: day,
@@ -1542,10 +2959,17 @@ function handleCheckWithStudent() {
     pendingConfirmation: true,
     pendingSince: new Date().toISOString()
   };
+  const location = getLocationFromForm();
+  if (location) cls.location = location;
+  if (location && location.url && !isValidMeetingUrl(location.url)) {
+    alert("Please enter a valid meeting link, e.g. https://meet.google.com/abc-defg-hij");
+    return;
+  }
 
   // Check for clashes
-  if (hasClash(cls, editingIndex) && !allowClashOverride) {
-    formClashWarning.classList.remove("hidden");
+  const clashWith = findClashWith(cls, editingClassId);
+  if (clashWith && !allowClashOverride) {
+    showFormClashWarning(cls, clashWith);
     showSuggestedSlots(cls.day);
     return;
   }
@@ -1555,10 +2979,13 @@ function handleCheckWithStudent() {
     cls.allowedClash = true;
   }
 
-  if (editingIndex !== null) {
-    classes[editingIndex] = { ...classes[editingIndex], ...cls };
+  linkClassToStudent(cls);
+
+  recordUndo(editingClassId !== null ? "Edit class" : "Add class");
+  if (editingClassId !== null) {
+    replaceClass(editingClassId, { ...getClassById(editingClassId), ...cls });
   } else {
-    classes.push(cls);
+    addClass(cls);
   }
 
   saveClasses();
@@ -1569,7 +2996,7 @@ function handleCheckWithStudent() {
   closeModal();
   renderWeekGrid();
   updateStudentDropdowns();
-  showToast("WhatsApp opened - awaiting student confirmation");
+  showUndoToast("WhatsApp opened - awaiting student confirmation");
 }
 
 // Send WhatsApp confirmation message
@@ -1586,19 +3013,61 @@ function sendWhatsAppConfirmation(cls) {
     month: 'short'
   });
 
-  const message = `Hi ${studentName}! 📚
-
-I'd like to schedule a class with you:
-
-📅 *${dateStr}*
-⏰ *${startTime} - ${endTime}*
+  const student = getStudentForClass(cls);
+  const message = buildMessage('confirmation', {
+    student: studentName,
+    date: dateStr,
+    start: startTime,
+    end: endTime
+  }, student);
+
+  // Open WhatsApp with the message, addressed to the student or parent when we have a number
+  const number = chooseWhatsAppNumber(student);
+  if (number === null) return false;
+  openWhatsApp(message, number);
+  return true;
+}
+
+// Convert a stored phone number to the international digits wa.me expects.
+// 10-digit numbers without a country code are taken as Indian mobiles.
+function toWhatsAppNumber(phone) {
+  if (!phone) return '';
+  let digits = phone.replace(/\D/g, '');
+  if (digits.length === 11 && digits.startsWith('0')) digits = digits.slice(1);
+  if (digits.length === 10 && !phone.trim().startsWith('+')) digits = '91' + digits;
+  return digits;
+}
+
+// Pick the WhatsApp number for a message about a student, asking when both the
+// student's and the parent's numbers are known. Returns '' when no number is stored
+// (WhatsApp then asks for the contact) or null if the choice was cancelled.
+function chooseWhatsAppNumber(student, preferParent = false) {
+  if (!student) return '';
+
+  const recipients = [
+    { label: student.name, phone: student.phone },
+    { label: student.parentName ? `${student.parentName} (parent)` : 'Parent', phone: student.parentPhone }
+  ].filter(r => r.phone);
+  if (preferParent) recipients.reverse();
+
+  if (recipients.length === 0) return '';
+  if (recipients.length === 1) return toWhatsAppNumber(recipients[0].phone);
 
-Please confirm if this time works for you.
-`;
+  const choice = prompt(
+    `Send WhatsApp to:\n\n` +
+    recipients.map((r, i) => `${i + 1} - ${r.label} (${r.phone})`).join('\n') +
+    `\n\nEnter 1 or 2:`
+  );
+  const selected = recipients[parseInt(choice) - 1];
+  return selected ? toWhatsAppNumber(selected.phone) : null;
+}
 
-  // Open WhatsApp with the message
+// Open WhatsApp with a pre-filled message, addressed to a number when one is given
+function openWhatsApp(message, number) {
   const encodedMessage = encodeURIComponent(message);
-  const whatsappUrl = `https://wa.me/?text=${encodedMessage}`;
+  const whatsappUrl = number
+    ? `https://wa.me/${number}?text=${encodedMessage}`
+    : `https://wa.me/?text=${encodedMessage}`;
   window.open(whatsappUrl, '_blank');
 }
 
@@ -1619,63 +3088,123 @@ function getNextDayDate(dayName) {
 
 // Handle student confirmation
 function handleConfirmClass() {
-  if (editingIndex === null) return;
+  if (!getEditingClass()) return;
 
-  const cls = classes[editingIndex];
-  delete cls.pendingConfirmation;
-  delete cls.pendingSince;
+  recordUndo("Confirm class");
+  updateEditingClass({}, ['pendingConfirmation', 'pendingSince']);
 
-  saveClasses();
   closeModal();
   renderWeekGrid();
-  showToast("Class confirmed! ✓");
+  showUndoToast("Class confirmed! ✓");
 }
 
 // Handle resend WhatsApp
 function handleResendWhatsApp() {
-  if (editingIndex === null) return;
+  const cls = getEditingClass();
+  if (!cls) return;
 
-  const cls = classes[editingIndex];
-  sendWhatsAppConfirmation(cls);
-  showToast("WhatsApp opened");
+  if (sendWhatsAppConfirmation(cls)) {
+    showToast("WhatsApp opened");
+  }
 }
 
 function handleDelete() {
-  if (editingIndex !== null && confirm("Are you sure you want to delete this class permanently?")) {
-    classes.splice(editingIndex, 1);
+  if (editingOccurrence) {
+    const series = getSeriesById(editingOccurrence.seriesId);
+    const scope = series ? askSeriesScope("Delete") : null;
+    if (!scope) return;
+    recordUndo("Delete repeating class");
+    deleteSeriesOccurrence(series, editingOccurrence.date, scope);
+    closeModal();
+    renderWeekGrid();
+    updateStudentDropdowns();
+    showUndoToast("Class deleted");
+    return;
+  }
+
+  if (editingClassId !== null && confirm("Are you sure you want to delete this class?")) {
+    recordUndo("Delete class");
+    removeClasses([editingClassId]);
     saveClasses();
     closeModal();
     renderWeekGrid();
     updateStudentDropdowns();
+    showUndoToast("Class deleted");
   }
 }
 
 function handleCancelClass(reason) {
-  if (editingIndex === null) return;
+  if (!getEditingClass()) return;
 
-  const cls = classes[editingIndex];
+  const cancellation = {
+    cancelled: true,
+    cancelReason: reason,
+    cancelledAt: new Date().toISOString()
+  };
 
   if (reason === 'other') {
     const customReason = prompt("Enter cancellation reason:");
     if (!customReason) return;
-    cls.customCancelReason = customReason;
+    cancellation.customCancelReason = customReason;
   }
 
-  cls.cancelled = true;
-  cls.cancelReason = reason;
-  cls.cancelledAt = new Date().toISOString();
+  // A student cancelling late pays the policy's fee (kept on the class so policy changes don't affect it)
+  const feePercent = reason === 'student' ? getLateCancellationPercent(getEditingClass()) : 0;
+  if (feePercent > 0) cancellation.cancelFeePercent = feePercent;
+
+  // For a series occurrence this is recorded as an exception on that date
+  recordUndo("Cancel class");
+  updateEditingClass(cancellation, feePercent > 0 ? ['cancelFeeWaived'] : ['cancelFeePercent', 'cancelFeeWaived']);
 
-  saveClasses();
   closeModal();
   renderWeekGrid();
+  renderReport();
 
-  showToast(`Class cancelled: ${CANCEL_REASONS[reason]}`);
+  showUndoToast(`Class cancelled: ${CANCEL_REASONS[reason]}${feePercent > 0 ? ` · ${feePercent}% late cancellation fee` : ''}`);
 }
 
-function handleRestoreClass() {
-  if (editingIndex === null) return;
+// Waive a late cancellation fee, or charge it again
+function handleToggleCancelFee() {
+  const cls = getEditingClass();
+  if (!cls || !cls.cancelFeePercent) return;
+
+  // cls may be the stored class itself, which the update changes
+  const wasWaived = Boolean(cls.cancelFeeWaived);
+  recordUndo(wasWaived ? "Charge late fee" : "Waive late fee");
+  if (wasWaived) {
+    updateEditingClass({}, ['cancelFeeWaived']);
+  } else {
+    updateEditingClass({ cancelFeeWaived: true });
+  }
+
+  updateCancelFeeSection(getEditingClass());
+  renderWeekGrid();
+  refreshPaymentViews();
+  showToast(wasWaived ? "Late cancellation fee charged" : "Late cancellation fee waived");
+}
+
+// Show a cancelled class's late fee (if it has one) in the edit modal
+function updateCancelFeeSection(cls) {
+  const note = document.getElementById("cancelFeeNote");
+  const waiveBtn = document.getElementById("waiveFeeBtn");
+  const hasFee = Boolean(cls && cls.cancelled && cls.cancelFeePercent);
+  note.classList.toggle("hidden", !hasFee);
+  waiveBtn.classList.toggle("hidden", !hasFee);
+  if (!hasFee) return;
+
+  if (cls.cancelFeeWaived) {
+    note.textContent = `Late cancellation fee (${cls.cancelFeePercent}%) waived`;
+    waiveBtn.textContent = "Charge Fee";
+  } else {
+    const fee = getClassMembers(cls).reduce((sum, member) => sum + Math.round(getMemberAmount(cls, member)), 0);
+    note.textContent = `Late cancellation fee: ${cls.cancelFeePercent}% (₹${fee.toLocaleString()})`;
+    waiveBtn.textContent = "Waive Fee";
+  }
+}
 
-  const cls = classes[editingIndex];
+function handleRestoreClass() {
+  const cls = getEditingClass();
+  if (!cls) return;
 
   // Check if restoring would cause a clash
   const testClass = { ...cls, cancelled: false };
@@ -1684,35 +3213,27 @@ function handleRestoreClass() {
   delete testClass.customCancelReason;
 
   // Check for clashes with other non-cancelled classes
-  const wouldClash = classes.some((c, i) => {
-    if (i === editingIndex) return false;
-    if (c.cancelled) return false;
-    return c.day === testClass.day && timesOverlap(testClass, c);
-  });
+  const wouldClash = hasClash(testClass, editingClassId, editingOccurrence);
 
   if (wouldClash) {
     alert("Cannot restore: This slot now has a time clash with another class.");
     return;
   }
 
-  delete cls.cancelled;
-  delete cls.cancelReason;
-  delete cls.cancelledAt;
-  delete cls.customCancelReason;
+  recordUndo("Restore class");
+  updateEditingClass({}, ['cancelled', 'cancelReason', 'cancelledAt', 'customCancelReason', 'cancelFeePercent', 'cancelFeeWaived', 'makeupNotNeeded']);
 
-  saveClasses();
   closeModal();
   renderWeekGrid();
+  renderReport();
 
-  showToast("Class restored successfully!");
+  showUndoToast("Class restored successfully!");
 }
 
 // Handle notifying student about class cancellation via WhatsApp
 function handleNotifyStudentCancellation() {
-  if (editingIndex === null) return;
-
-  const cls = classes[editingIndex];
-  if (!cls.cancelled) return;
+  const cls = getEditingClass();
+  if (!cls || !cls.cancelled) return;
 
   const studentName = cls.student;
   const startTime = formatTime(cls.start);
@@ -1750,37 +3271,33 @@ function handleNotifyStudentCancellation() {
     reasonText = 'due to unforeseen circumstances';
   }
 
-  const message = `Hi ${studentName}!
-
-I'm sorry, but I need to cancel our scheduled class:
-
-📅 *${dateStr}*
-⏰ *${startTime} - ${endTime}*
-
-This class has been cancelled ${reasonText}.
-
-I'll reach out to reschedule soon. Sorry for any inconvenience!
-`;
+  const student = getStudentForClass(cls);
+  const message = buildMessage('cancellation', {
+    student: studentName,
+    date: dateStr,
+    start: startTime,
+    end: endTime,
+    reason: reasonText
+  }, student);
 
   // Open WhatsApp with the message
-  const encodedMessage = encodeURIComponent(message);
-  const whatsappUrl = `https://wa.me/?text=${encodedMessage}`;
-  window.open(whatsappUrl, '_blank');
+  const number = chooseWhatsAppNumber(student);
+  if (number === null) return;
+  openWhatsApp(message, number);
 
   showToast("WhatsApp opened to notify student");
 }
 
 function handleDuplicate() {
-  if (editingIndex === null) return;
-
-  const originalClass = classes[editingIndex];
+  const originalClass = getEditingClass();
+  if (!originalClass) return;
 
   // Close edit modal and open add modal with pre-filled data
   closeModal();
 
   // Small delay to allow modal to close
   setTimeout(() => {
-    editingIndex = null;
+    editingClassId = null;
     modalTitle.textContent = "Duplicate Class";
     deleteBtn.classList.add("hidden");
     duplicateBtn.classList.add("hidden");
@@ -1800,220 +3317,2559 @@ function handleDuplicate() {
     daySelect.value = originalClass.day;
     startTimeInput.value = originalClass.start;
     endTimeInput.value = originalClass.end;
+    setLocationForm(originalClass.location);
+    setClassTypeForm(originalClass);
+
+    // Set duration
+    const duration = getMinutesBetween(originalClass.start, originalClass.end);
+    selectedDuration = duration;
+    document.querySelectorAll(".duration-btn").forEach(btn => {
+      btn.classList.toggle("active", parseInt(btn.dataset.minutes) === duration);
+    });
+
+    formClashWarning.classList.add("hidden");
+    suggestedSlots.classList.add("hidden");
+    renderQuickSlots();
+    updateCopyToDayClashState();
+
+    modal.classList.remove("hidden");
+  }, 100);
+}
+
+// Clash Detection
+// Find a class that clashes with newClass - overlapping it, or closer than the buffer
+// needed between them. excludeId skips the stored class being edited, excludeOccurrence
+// ({ seriesId, date }) the series occurrence being edited.
+function findClashWith(newClass, excludeId = null, excludeOccurrence = null) {
+  const storedClash = classes.find(c => {
+    if (excludeId !== null && c.id === excludeId) return false;
+    if (c.cancelled) return false; // Cancelled classes don't cause clashes
+    // Check by date if available, otherwise fall back to day name
+    const sameDay = newClass.date ? c.date === newClass.date : c.day === newClass.day;
+    return sameDay && classesConflict(newClass, c);
+  });
+  if (storedClash || !newClass.date) return storedClash || null;
+
+  // Series occurrences only exist on actual dates
+  return getSeriesOccurrences(newClass.date, newClass.date).find(o => {
+    if (excludeOccurrence && o.seriesId === excludeOccurrence.seriesId && o.occurrenceDate === excludeOccurrence.date) return false;
+    if (o.cancelled) return false;
+    return classesConflict(newClass, o);
+  }) || null;
+}
+
+function hasClash(newClass, excludeId = null, excludeOccurrence = null) {
+  return findClashWith(newClass, excludeId, excludeOccurrence) !== null;
+}
+
+// Show the form clash warning, saying which class is in the way and why
+function showFormClashWarning(cls, clashWith) {
+  const message = formClashWarning.querySelector(".clash-message");
+  if (clashWith && !timesOverlap(cls, clashWith)) {
+    const side = cls.start > clashWith.start ? 'after' : 'before';
+    message.textContent = `⚠️ Only ${getGapBetween(cls, clashWith)} min gap ${side} ${getClassLabel(clashWith)}'s class - ${getRequiredGap(cls, clashWith)} min needed`;
+  } else if (clashWith) {
+    message.textContent = `⚠️ This slot clashes with ${getClassLabel(clashWith)}'s class (${formatTime(clashWith.start)} - ${formatTime(clashWith.end)})`;
+  } else {
+    message.textContent = "⚠️ This slot clashes with another class!";
+  }
+  formClashWarning.classList.remove("hidden");
+}
+
+function checkFormClash() {
+  const day = daySelect.value;
+  const start = startTimeInput.value;
+  const end = endTimeInput.value;
+
+  updateWorkingHoursNote();
+
+  if (!day || !start || !end) {
+    formClashWarning.classList.add("hidden");
+    suggestedSlots.classList.add("hidden");
+    return;
+  }
+
+  // Calculate date for the selected day in current week
+  const weekStart = getWeekStartDate(currentWeekOffset);
+  const dayIndex = DAYS.indexOf(day);
+  const classDate = new Date(weekStart);
+  classDate.setDate(weekStart.getDate() + dayIndex);
+  const dateStr = formatDateToYYYYMMDD(classDate);
+
+  const testClass = { day, date: dateStr, start, end, location: getLocationFromForm() };
+  const clashWith = findClashWith(testClass, editingClassId, editingOccurrence);
+
+  if (clashWith) {
+    showFormClashWarning(testClass, clashWith);
+    showSuggestedSlots(day);
+  } else {
+    formClashWarning.classList.add("hidden");
+    suggestedSlots.classList.add("hidden");
+  }
+}
+
+// Auto-Suggest Available Slots
+// Initialize slot chips event delegation (called once in setupEventListeners)
+function initSlotChipsEventDelegation() {
+  slotsList.addEventListener("click", (e) => {
+    const chip = e.target.closest(".slot-chip");
+    if (!chip) return;
+
+    startTimeInput.value = chip.dataset.start;
+    endTimeInput.value = chip.dataset.end;
+    checkFormClash();
+    updateQuickSlotsClashState();
+    updateCopyToDayClashState();
+  });
+}
+
+function showSuggestedSlots(day) {
+  const availableSlots = findAvailableSlots(day);
+
+  if (availableSlots.length === 0) {
+    suggestedSlots.classList.add("hidden");
+    return;
+  }
+
+  slotsList.innerHTML = availableSlots.map(slot => `
+    <button type="button" class="slot-chip" data-start="${slot.start}" data-end="${slot.end}">
+      ${formatTime(slot.start)} - ${formatTime(slot.end)}
+    </button>
+  `).join("");
+
+  // Event listeners handled via delegation (initSlotChipsEventDelegation)
+
+  suggestedSlots.classList.remove("hidden");
+}
+
+function findAvailableSlots(day) {
+  // Look at that day of the displayed week
+  const weekStart = getWeekStartDate(currentWeekOffset);
+  const slotDate = new Date(weekStart);
+  slotDate.setDate(weekStart.getDate() + DAYS.indexOf(day));
+
+  // Suggestions start on the slot step grid
+  return findFreeGaps(formatDateToYYYYMMDD(slotDate), getLocationFromForm())
+    .map(gap => ({ ...gap, start: roundUpToSlotStep(gap.start) }))
+    .filter(gap => getMinutesBetween(gap.start, gap.end) >= selectedDuration)
+    .map(gap => ({ start: gap.start, end: addMinutesToTime(gap.start, selectedDuration) }))
+    .slice(0, 4); // Return max 4 suggestions
+}
+
+// Free gaps within working hours on a YYYY-MM-DD date, skipping cancelled classes
+// and the class open in the modal. Days off have no gaps. Gaps leave room for the
+// buffer needed next to each class (location is the planned class's, if known).
+function findFreeGaps(dateStr, location = null) {
+  const hours = getWorkingHours(getDayNameFromDateStr(dateStr));
+  if (hours.off) return [];
+
+  const dayClasses = getClassesOnDate(dateStr)
+    .filter(c => !c.cancelled)
+    .filter(c => editingClassId === null || c.id !== editingClassId)
+    .filter(c => !editingOccurrence || c.seriesId !== editingOccurrence.seriesId || c.occurrenceDate !== editingOccurrence.date)
+    .sort((a, b) => a.start.localeCompare(b.start));
+
+  const planned = { location };
+  const gaps = [];
+  let currentStart = timeToMinutes(hours.start);
+  const dayEnd = timeToMinutes(hours.end);
+
+  for (const cls of dayClasses) {
+    const buffer = getRequiredGap(cls, planned);
+    const gapEnd = Math.min(timeToMinutes(cls.start) - buffer, dayEnd);
+    // Check if there's a gap before this class
+    if (currentStart < gapEnd) {
+      gaps.push({ start: minutesToTime(currentStart), end: minutesToTime(gapEnd) });
+    }
+    // Move current start past this class and its buffer
+    currentStart = Math.max(currentStart, timeToMinutes(cls.end) + buffer);
+    if (currentStart >= dayEnd) break;
+  }
+
+  // Gap at the end of the day
+  if (currentStart < dayEnd) {
+    gaps.push({ start: minutesToTime(currentStart), end: minutesToTime(dayEnd) });
+  }
+
+  return gaps;
+}
+
+// Student Dropdown Functions
+function updateStudentDropdowns() {
+  const sortedStudents = [...students].sort((a, b) => a.name.localeCompare(b.name));
+  const activeStudents = sortedStudents.filter(s => !s.archived);
+  const archivedStudents = sortedStudents.filter(s => s.archived);
+
+  // Update main student view dropdown (by ID, keeping the current selection)
+  const selectedId = studentSelect.value;
+  studentSelect.innerHTML = '<option value="">-- Choose Student --</option>';
+  activeStudents.forEach(student => {
+    const option = document.createElement("option");
+    option.value = student.id;
+    option.textContent = student.name;
+    studentSelect.appendChild(option);
+  });
+  if (archivedStudents.length > 0) {
+    const group = document.createElement("optgroup");
+    group.label = "Archived";
+    archivedStudents.forEach(student => {
+      const option = document.createElement("option");
+      option.value = student.id;
+      option.textContent = student.name;
+      group.appendChild(option);
+    });
+    studentSelect.appendChild(group);
+  }
+  studentSelect.value = getStudentById(selectedId) ? selectedId : "";
+
+  // Update form's existing student dropdown and group name suggestions (active students only)
+  existingStudentSelect.innerHTML = '<option value="">-- Select Existing --</option>';
+  groupStudentOptions.innerHTML = '';
+  activeStudents.forEach(student => {
+    const option = document.createElement("option");
+    option.value = student.name;
+    option.textContent = student.name;
+    existingStudentSelect.appendChild(option);
+    groupStudentOptions.appendChild(option.cloneNode(true));
+  });
+}
+
+function renderStudentSchedule() {
+  const student = getStudentById(studentSelect.value);
+  renderStudentProfile(student);
+
+  if (!student) {
+    studentSchedule.innerHTML = renderMakeupList(getOutstandingMakeups(), true) +
+      '<p class="empty-state">Select a student to view their weekly schedule</p>';
+    bindMakeupItems();
+    return;
+  }
+  const makeupsHtml = renderMakeupList(getOutstandingMakeups().filter(makeup => makeup.student === student.name), false);
+
+  // Repeating series are listed once per weekday with their pattern
+  const seriesEntries = classSeries
+    .filter(series => series.studentId === student.id || classHasStudent(series, student.name))
+    .flatMap(series => series.weekdays.map(day => ({
+      day,
+      start: series.start,
+      end: series.end,
+      seriesLabel: describeSeries(series),
+      groupLabel: isGroupClass(series) ? getClassLabel(series) : null
+    })));
+
+  const studentClasses = [
+    ...classes
+      .filter(c => c.studentId === student.id || classHasStudent(c, student.name))
+      .map(c => ({ ...c, groupLabel: isGroupClass(c) ? getClassLabel(c) : null })),
+    ...seriesEntries
+  ]
+    .sort((a, b) => {
+      const dayDiff = DAYS.indexOf(a.day) - DAYS.indexOf(b.day);
+      if (dayDiff !== 0) return dayDiff;
+      return a.start.localeCompare(b.start);
+    });
+
+  if (studentClasses.length === 0) {
+    studentSchedule.innerHTML = makeupsHtml + '<p class="empty-state">No classes scheduled for this student</p>';
+    bindMakeupItems();
+    return;
+  }
+
+  // Group by day
+  const groupedByDay = {};
+  DAYS.forEach(day => {
+    const dayClasses = studentClasses.filter(c => c.day === day);
+    if (dayClasses.length > 0) {
+      groupedByDay[day] = dayClasses;
+    }
+  });
+
+  let html = makeupsHtml;
+  for (const day of DAYS) {
+    if (groupedByDay[day]) {
+      html += `
+        <div class="student-day">
+          <div class="student-day-header">${day}</div>
+          ${groupedByDay[day].map(c => `
+            <div class="student-class">
+              <span class="student-class-time">${formatTime(c.start)} - ${formatTime(c.end)}</span>
+              <span class="student-class-duration">${getDuration(c.start, c.end)}</span>
+              ${c.groupLabel ? `<span class="student-class-series">👥 ${escapeHtml(c.groupLabel)}</span>` : ''}
+              ${c.seriesLabel ? `<span class="student-class-series">🔁 ${escapeHtml(c.seriesLabel)}</span>` : ''}
+            </div>
+          `).join("")}
+        </div>
+      `;
+    }
+  }
+
+  studentSchedule.innerHTML = html;
+  bindMakeupItems();
+}
+
+// ==================== SCHEDULE SETTINGS ====================
+
+// Saved settings merged over the defaults, so older or partial data still loads
+function loadScheduleSettings() {
+  const saved = getStored('scheduleSettings', {});
+  const savedHours = saved.workingHours || {};
+  const workingHours = {};
+  DAYS.forEach(day => {
+    workingHours[day] = { ...DEFAULT_WORKING_HOURS, ...savedHours[day] };
+  });
+
+  return {
+    workingHours,
+    slotStep: SLOT_STEP_OPTIONS.includes(saved.slotStep) ? saved.slotStep : 15,
+    defaultDuration: DURATION_OPTIONS.includes(saved.defaultDuration) ? saved.defaultDuration : 60,
+    bufferMinutes: Number.isInteger(saved.bufferMinutes) ? saved.bufferMinutes : 0,
+    locationBuffers: saved.locationBuffers || {}, // Location type -> minutes, overriding bufferMinutes
+    // Student cancelling within `hours` of the class pays feePercent of it (0 = no fee)
+    cancellationPolicy: { hours: 12, feePercent: 0, ...saved.cancellationPolicy },
+    reminderAfterDays: Number.isInteger(saved.reminderAfterDays) ? saved.reminderAfterDays : 0, // Suggest a payment reminder after this many quiet days (0 = off)
+    // Archive classes older than afterMonths, delete archived ones older than deleteAfterYears (0 = never)
+    archivePolicy: { afterMonths: 3, deleteAfterYears: 0, ...saved.archivePolicy }
+  };
+}
+
+function saveScheduleSettings() {
+  appStorage.set('scheduleSettings', scheduleSettings);
+}
+
+// { start, end, off } for a weekday
+function getWorkingHours(day) {
+  return scheduleSettings.workingHours[day] || DEFAULT_WORKING_HOURS;
+}
+
+// Round a HH:MM time up to the next slot step
+function roundUpToSlotStep(time) {
+  const step = scheduleSettings.slotStep;
+  const minutes = getMinutesBetween('00:00', time);
+  return addMinutesToTime('00:00', Math.ceil(minutes / step) * step);
+}
+
+// Compact chip label, e.g. "8-9 AM" or "11:30-12:30 PM"
+function formatSlotLabel(start, end) {
+  const short = (time) => {
+    const [h, m] = time.split(':').map(Number);
+    return `${h % 12 || 12}${m ? ':' + String(m).padStart(2, '0') : ''}`;
+  };
+  return `${short(start)}-${short(end)} ${parseInt(end) >= 12 ? 'PM' : 'AM'}`;
+}
+
+// Rebuild the form's quick slot chips from the selected day's working hours
+function renderQuickSlots() {
+  const day = daySelect.value;
+  const quickSlots = document.getElementById("quickSlots");
+
+  if (day && getWorkingHours(day).off) {
+    quickSlots.innerHTML = `<span class="quick-slots-note">${day} is a day off</span>`;
+    return;
+  }
+
+  // Before a day is picked, cover the hours of every working day
+  const workingDays = day ? [day] : DAYS.filter(d => !getWorkingHours(d).off);
+  if (workingDays.length === 0) {
+    quickSlots.innerHTML = '<span class="quick-slots-note">No working days set</span>';
+    return;
+  }
+  const dayStart = workingDays.map(d => getWorkingHours(d).start).sort()[0];
+  const dayEnd = workingDays.map(d => getWorkingHours(d).end).sort().pop();
+
+  // Hourly chips keep the picker short - the suggested free slots use the slot step
+  let html = '';
+  for (let start = dayStart; getMinutesBetween(start, dayEnd) >= selectedDuration; start = addMinutesToTime(start, 60)) {
+    const end = addMinutesToTime(start, selectedDuration);
+    const isActive = start === startTimeInput.value && end === endTimeInput.value;
+    html += `<button type="button" class="quick-slot ${isActive ? 'active' : ''}" data-start="${start}" data-end="${end}">${formatSlotLabel(start, end)}</button>`;
+    if (start >= '23:00') break;
+  }
+  quickSlots.innerHTML = html;
+  updateQuickSlotsClashState();
+}
+
+// Note under the times when they fall outside the day's working hours
+function updateWorkingHoursNote() {
+  const note = document.getElementById("workingHoursNote");
+  const day = daySelect.value;
+  const start = startTimeInput.value;
+  const end = endTimeInput.value;
+
+  if (!day || !start || !end) {
+    note.classList.add("hidden");
+    return;
+  }
+
+  const hours = getWorkingHours(day);
+  if (hours.off) {
+    note.textContent = `${day} is marked as a day off`;
+  } else if (start < hours.start || end > hours.end) {
+    note.textContent = `Outside your working hours (${formatTime(hours.start)} - ${formatTime(hours.end)})`;
+  } else {
+    note.classList.add("hidden");
+    return;
+  }
+  note.classList.remove("hidden");
+}
+
+function applyScheduleSettingsToForm() {
+  const stepSeconds = scheduleSettings.slotStep * 60;
+  startTimeInput.step = stepSeconds;
+  endTimeInput.step = stepSeconds;
+}
+
+function showScheduleSettingsDialog() {
+  const dayRows = DAYS.map(day => {
+    const hours = getWorkingHours(day);
+    return `
+      <div class="settings-day-row ${hours.off ? 'off' : ''}" data-day="${day}">
+        <label class="settings-day-toggle">
+          <input type="checkbox" class="settings-day-working" ${hours.off ? '' : 'checked'} />
+          <span>${day.slice(0, 3)}</span>
+        </label>
+        <input type="time" class="settings-day-start" value="${hours.start}" ${hours.off ? 'disabled' : ''} />
+        <span>to</span>
+        <input type="time" class="settings-day-end" value="${hours.end}" ${hours.off ? 'disabled' : ''} />
+      </div>
+    `;
+  }).join('');
+
+  const dialogHtml = `
+    <div class="settings-dialog-content">
+      <h3>Schedule Settings</h3>
+      <div class="form-group">
+        <label>Working Hours</label>
+        <div class="settings-days">${dayRows}</div>
+        <p class="template-hint">Untick a day to mark it as a day off</p>
+      </div>
+      <div class="form-row">
+        <div class="form-group">
+          <label for="settingsSlotStep">Slot Step</label>
+          <select id="settingsSlotStep">
+            ${SLOT_STEP_OPTIONS.map(step => `<option value="${step}" ${scheduleSettings.slotStep === step ? 'selected' : ''}>${step} min</option>`).join('')}
+          </select>
+        </div>
+        <div class="form-group">
+          <label for="settingsDefaultDuration">Default Duration</label>
+          <select id="settingsDefaultDuration">
+            ${DURATION_OPTIONS.map(minutes => `<option value="${minutes}" ${scheduleSettings.defaultDuration === minutes ? 'selected' : ''}>${getDuration('00:00', addMinutesToTime('00:00', minutes))}</option>`).join('')}
+          </select>
+        </div>
+      </div>
+      <div class="form-group">
+        <label>Gap Between Classes</label>
+        <div class="settings-buffer-row">
+          <span>All classes</span>
+          <input type="number" id="settingsBuffer" min="0" max="180" step="5" value="${scheduleSettings.bufferMinutes}" />
+          <span>min</span>
+        </div>
+        ${Object.entries(LOCATION_TYPES).map(([type, label]) => `
+          <div class="settings-buffer-row">
+            <span>${label}</span>
+            <input type="number" class="settings-location-buffer" data-type="${type}" min="0" max="180" step="5"
+                   value="${scheduleSettings.locationBuffers[type] !== undefined ? scheduleSettings.locationBuffers[type] : ''}" placeholder="Same" />
+            <span>min</span>
+          </div>
+        `).join('')}
+        <p class="template-hint">Travel or break time needed next to a class. Leave a location blank to use the gap for all classes.</p>
+      </div>
+      <div class="form-group">
+        <label>Late Cancellation Fee</label>
+        <div class="settings-buffer-row">
+          <span>Student cancels within</span>
+          <input type="number" id="settingsCancelHours" min="0" max="168" value="${scheduleSettings.cancellationPolicy.hours}" />
+          <span>hours</span>
+        </div>
+        <div class="settings-buffer-row">
+          <span>Fee</span>
+          <input type="number" id="settingsCancelFee" min="0" max="100" step="5" value="${scheduleSettings.cancellationPolicy.feePercent}" />
+          <span>%</span>
+        </div>
+        <p class="template-hint">Charged when a class is cancelled as "Student Unavailable" this late. Set 0% for no fee.</p>
+      </div>
+      <div class="form-group">
+        <label>Payment Reminders</label>
+        <div class="settings-buffer-row">
+          <span>Suggest a reminder after</span>
+          <input type="number" id="settingsReminderAfter" min="0" max="90" value="${scheduleSettings.reminderAfterDays}" />
+          <span>days</span>
+        </div>
+        <p class="template-hint">Counted from the last reminder or payment, for students with unpaid classes. Set 0 to turn off.</p>
+      </div>
+      <div class="form-group">
+        <label>Past Classes</label>
+        <div class="settings-buffer-row">
+          <span>Archive classes older than</span>
+          <input type="number" id="settingsArchiveAfter" min="0" max="60" value="${scheduleSettings.archivePolicy.afterMonths}" />
+          <span>months</span>
+        </div>
+        <div class="settings-buffer-row">
+          <span>Delete archived classes after</span>
+          <input type="number" id="settingsDeleteArchivedAfter" min="0" max="20" value="${scheduleSettings.archivePolicy.deleteAfterYears}" />
+          <span>years</span>
+        </div>
+        <p class="template-hint">Archived classes leave the calendar but still count in reports, exports and student history. Set 0 to never archive or never delete.</p>
+      </div>
+      <div class="form-group">
+        <label>Class Types</label>
+        <div id="settingsClassTypes">${classTypes.map(renderClassTypeSettingsRow).join('')}</div>
+        <button type="button" class="btn btn-secondary btn-sm" id="addClassTypeBtn">+ Add type</button>
+        <p class="template-hint">Leave the rate blank to charge the student's usual rate.</p>
+      </div>
+      <div class="dialog-actions">
+        <button class="btn btn-secondary" id="cancelSettingsBtn">Cancel</button>
+        <button class="btn btn-primary" id="saveSettingsBtn">Save</button>
+      </div>
+    </div>
+  `;
+
+  const dialog = document.createElement('div');
+  dialog.id = 'scheduleSettingsDialog';
+  dialog.className = 'modal';
+  dialog.innerHTML = `<div class="modal-content">${dialogHtml}</div>`;
+  dialog.addEventListener('click', (e) => {
+    if (e.target === dialog) closeScheduleSettingsDialog();
+  });
+  document.body.appendChild(dialog);
+
+  // Day off toggles enable/disable that day's times
+  dialog.querySelectorAll('.settings-day-working').forEach(checkbox => {
+    checkbox.addEventListener('change', () => {
+      const row = checkbox.closest('.settings-day-row');
+      row.classList.toggle('off', !checkbox.checked);
+      row.querySelectorAll('input[type="time"]').forEach(input => { input.disabled = !checkbox.checked; });
+    });
+  });
+
+  const classTypeRows = document.getElementById('settingsClassTypes');
+  classTypeRows.addEventListener('click', (e) => {
+    if (e.target.classList.contains('settings-class-type-remove')) e.target.closest('.settings-class-type-row').remove();
+  });
+  document.getElementById('addClassTypeBtn').addEventListener('click', () => {
+    classTypeRows.insertAdjacentHTML('beforeend', renderClassTypeSettingsRow({ id: '', name: '', rate: null, duration: scheduleSettings.defaultDuration }));
+    classTypeRows.lastElementChild.querySelector('.settings-class-type-name').focus();
+  });
+
+  document.getElementById('cancelSettingsBtn').addEventListener('click', closeScheduleSettingsDialog);
+  document.getElementById('saveSettingsBtn').addEventListener('click', saveScheduleSettingsFromDialog);
+}
+
+function renderClassTypeSettingsRow(type) {
+  return `
+    <div class="settings-class-type-row" data-id="${escapeHtml(type.id)}">
+      <input type="text" class="settings-class-type-name" value="${escapeHtml(type.name)}" placeholder="Type name" />
+      <input type="number" class="settings-class-type-rate" min="0" step="50" value="${type.rate !== null ? type.rate : ''}" placeholder="₹/hr" />
+      <select class="settings-class-type-duration">
+        ${DURATION_OPTIONS.map(minutes => `<option value="${minutes}" ${type.duration === minutes ? 'selected' : ''}>${getDuration('00:00', addMinutesToTime('00:00', minutes))}</option>`).join('')}
+      </select>
+      <button type="button" class="settings-class-type-remove" title="Remove type">&times;</button>
+    </div>
+  `;
+}
+
+function closeScheduleSettingsDialog() {
+  const dialog = document.getElementById('scheduleSettingsDialog');
+  if (dialog) dialog.remove();
+}
+
+function saveScheduleSettingsFromDialog() {
+  const dialog = document.getElementById('scheduleSettingsDialog');
+  const workingHours = {};
+
+  for (const row of dialog.querySelectorAll('.settings-day-row')) {
+    const day = row.dataset.day;
+    const start = row.querySelector('.settings-day-start').value;
+    const end = row.querySelector('.settings-day-end').value;
+    const off = !row.querySelector('.settings-day-working').checked;
+
+    if (!off && (!start || !end || start >= end)) {
+      alert(`Please set a start time before the end time for ${day}`);
+      return;
+    }
+    workingHours[day] = { start: start || DEFAULT_WORKING_HOURS.start, end: end || DEFAULT_WORKING_HOURS.end, off };
+  }
+
+  const updatedTypes = [];
+  for (const row of dialog.querySelectorAll('.settings-class-type-row')) {
+    const name = row.querySelector('.settings-class-type-name').value.trim();
+    const rate = row.querySelector('.settings-class-type-rate').value.trim();
+    if (!name) {
+      alert('Please give each class type a name');
+      return;
+    }
+    const type = {
+      id: row.dataset.id || generateId('type'),
+      name,
+      rate: rate === '' ? null : Math.max(Number(rate) || 0, 0),
+      duration: parseInt(row.querySelector('.settings-class-type-duration').value)
+    };
+    // A new rate applies from today, so classes already taught keep the rate they had
+    const previous = classTypes.find(t => t.id === type.id);
+    if (previous && previous.rate !== type.rate) {
+      const history = previous.rateHistory || [{ from: '', rate: previous.rate }];
+      type.rateHistory = addRateToHistory(history, type.rate, formatDateToYYYYMMDD(new Date()));
+    } else if (previous && previous.rateHistory) {
+      type.rateHistory = previous.rateHistory;
+    }
+    updatedTypes.push(type);
+  }
+
+  // Classes of a removed type go back to their student's usual rate
+  const removedInUse = classTypes.filter(type =>
+    !updatedTypes.some(t => t.id === type.id) && countClassesOfType(type.id) > 0
+  );
+  if (removedInUse.length > 0 && !confirm(
+    `${removedInUse.map(type => type.name).join(', ')} ${removedInUse.length === 1 ? 'is' : 'are'} still used by some classes. ` +
+    `Remove anyway? Those classes will be charged at the student's usual rate.`
+  )) {
+    return;
+  }
+
+  const bufferMinutes = parseInt(document.getElementById('settingsBuffer').value) || 0;
+  const locationBuffers = {};
+  dialog.querySelectorAll('.settings-location-buffer').forEach(input => {
+    if (input.value !== '') locationBuffers[input.dataset.type] = Math.max(parseInt(input.value) || 0, 0);
+  });
+
+  scheduleSettings = {
+    workingHours,
+    slotStep: parseInt(document.getElementById('settingsSlotStep').value),
+    defaultDuration: parseInt(document.getElementById('settingsDefaultDuration').value),
+    bufferMinutes: Math.max(bufferMinutes, 0),
+    locationBuffers,
+    cancellationPolicy: {
+      hours: Math.max(parseInt(document.getElementById('settingsCancelHours').value) || 0, 0),
+      feePercent: Math.min(Math.max(parseInt(document.getElementById('settingsCancelFee').value) || 0, 0), 100)
+    },
+    reminderAfterDays: Math.max(parseInt(document.getElementById('settingsReminderAfter').value) || 0, 0),
+    archivePolicy: {
+      afterMonths: Math.max(parseInt(document.getElementById('settingsArchiveAfter').value) || 0, 0),
+      deleteAfterYears: Math.max(parseInt(document.getElementById('settingsDeleteArchivedAfter').value) || 0, 0)
+    }
+  };
+  saveScheduleSettings();
+  archiveOldClasses();
+  applyScheduleSettingsToForm();
+  classTypes = updatedTypes;
+  saveClassTypes();
+
+  closeScheduleSettingsDialog();
+  renderWeekGrid();
+  renderReport();
+  showToast('Schedule settings saved');
+}
+
+// ==================== MESSAGE TEMPLATES ====================
+
+const MESSAGE_LANGUAGES = { en: 'English', hi: 'Hindi' };
+
+const MESSAGE_TEMPLATE_TYPES = {
+  confirmation: {
+    label: 'Class Confirmation',
+    placeholders: ['student', 'date', 'start', 'end']
+  },
+  cancellation: {
+    label: 'Class Cancellation',
+    placeholders: ['student', 'date', 'start', 'end', 'reason']
+  },
+  paymentReminder: {
+    label: 'Payment Reminder',
+    placeholders: ['student', 'period', 'classes', 'hours', 'days', 'amount']
+  },
+  receipt: {
+    label: 'Payment Receipt',
+    placeholders: ['student', 'amount', 'date', 'method', 'classes']
+  }
+};
+
+// Shipped texts - used for any language/type without a custom template
+const DEFAULT_MESSAGE_TEMPLATES = {
+  confirmation: `Hi {student}! 📚
+
+I'd like to schedule a class with you:
+
+📅 *{date}*
+⏰ *{start} - {end}*
+
+Please confirm if this time works for you.
+`,
+  cancellation: `Hi {student}!
+
+I'm sorry, but I need to cancel our scheduled class:
+
+📅 *{date}*
+⏰ *{start} - {end}*
+
+This class has been cancelled {reason}.
+
+I'll reach out to reschedule soon. Sorry for any inconvenience!
+`,
+  paymentReminder: `Hi! 🙏 Hope you're doing well!
+
+Just a gentle reminder about {student}'s tuition fees:
+📅 {period}
+📚 {classes} ({hours} hrs) - {days}
+*₹{amount}*
+
+Let me know if you have any questions.
+`,
+  receipt: `Hi! 🙏 Thank you for the payment.
+
+🧾 *Receipt - {student}'s tuition*
+💰 *₹{amount}* received on {date} ({method})
+📚 {classes}
+`
+};
+
+// Example values for the live preview in the templates dialog
+const SAMPLE_TEMPLATE_VALUES = {
+  student: 'Aarav',
+  date: 'Monday, 6 Jan',
+  start: '4:00 PM',
+  end: '5:00 PM',
+  reason: 'due to a holiday',
+  period: 'December 2024',
+  classes: '8 classes',
+  hours: '8',
+  days: 'Monday, Thursday',
+  amount: '4,000',
+  method: 'UPI - ref 4821'
+};
+
+function saveMessageTemplates() {
+  appStorage.set('messageTemplates', messageTemplates);
+}
+
+// Template text for a message type - custom text for the language, then custom
+// English text, then the shipped default
+function getMessageTemplate(type, language = 'en', templates = messageTemplates) {
+  const custom = templates[language] || {};
+  const english = templates.en || {};
+  if (custom[type] !== undefined) return custom[type];
+  if (english[type] !== undefined) return english[type];
+  return DEFAULT_MESSAGE_TEMPLATES[type];
+}
+
+// Replace {placeholder} tokens - unknown placeholders are left as typed
+function fillMessageTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (match, key) => values[key] !== undefined ? values[key] : match);
+}
+
+function buildMessage(type, values, student = null) {
+  const language = (student && student.language) || 'en';
+  return fillMessageTemplate(getMessageTemplate(type, language), values);
+}
+
+// Show the templates editor. Edits go to a draft until Save.
+function showTemplatesDialog() {
+  const draft = JSON.parse(JSON.stringify(messageTemplates));
+  let language = 'en';
+  let type = 'confirmation';
+
+  const dialogHtml = `
+    <div class="templates-dialog-content">
+      <h3>Message Templates</h3>
+      <div class="form-row">
+        <div class="form-group">
+          <label for="templateLanguage">Language</label>
+          <select id="templateLanguage">
+            ${Object.entries(MESSAGE_LANGUAGES).map(([code, name]) => `<option value="${code}">${name}</option>`).join('')}
+          </select>
+        </div>
+        <div class="form-group">
+          <label for="templateType">Message</label>
+          <select id="templateType">
+            ${Object.entries(MESSAGE_TEMPLATE_TYPES).map(([key, info]) => `<option value="${key}">${info.label}</option>`).join('')}
+          </select>
+        </div>
+      </div>
+      <div class="form-group">
+        <label for="templateText">Text</label>
+        <textarea id="templateText" rows="10"></textarea>
+        <div class="template-placeholders" id="templatePlaceholders"></div>
+        <p class="template-hint" id="templateHint"></p>
+      </div>
+      <div class="form-group">
+        <label>Preview</label>
+        <div class="template-preview" id="templatePreview"></div>
+      </div>
+      <div class="dialog-actions">
+        <button class="btn btn-secondary" id="resetTemplateBtn">Reset to Default</button>
+        <button class="btn btn-secondary" id="cancelTemplatesBtn">Cancel</button>
+        <button class="btn btn-primary" id="saveTemplatesBtn">Save</button>
+      </div>
+    </div>
+  `;
+
+  const dialog = document.createElement('div');
+  dialog.id = 'templatesDialog';
+  dialog.className = 'modal';
+  dialog.innerHTML = `<div class="modal-content">${dialogHtml}</div>`;
+  dialog.addEventListener('click', (e) => {
+    if (e.target === dialog) closeTemplatesDialog();
+  });
+  document.body.appendChild(dialog);
+
+  const textInput = document.getElementById('templateText');
+  const placeholdersEl = document.getElementById('templatePlaceholders');
+  const hintEl = document.getElementById('templateHint');
+  const previewEl = document.getElementById('templatePreview');
+
+  const updatePreview = () => {
+    previewEl.textContent = fillMessageTemplate(textInput.value, SAMPLE_TEMPLATE_VALUES);
+  };
+
+  const showTemplate = () => {
+    textInput.value = getMessageTemplate(type, language, draft);
+    placeholdersEl.innerHTML = MESSAGE_TEMPLATE_TYPES[type].placeholders
+      .map(key => `<button type="button" class="template-placeholder" data-placeholder="${key}">{${key}}</button>`)
+      .join('');
+
+    const custom = draft[language] || {};
+    if (custom[type] !== undefined) {
+      hintEl.textContent = 'Custom text';
+    } else if (language !== 'en') {
+      hintEl.textContent = `No ${MESSAGE_LANGUAGES[language]} text yet - showing English. Edit to add one.`;
+    } else {
+      hintEl.textContent = 'Default text';
+    }
+    updatePreview();
+  };
+
+  textInput.addEventListener('input', () => {
+    if (!draft[language]) draft[language] = {};
+    draft[language][type] = textInput.value;
+    hintEl.textContent = 'Custom text';
+    updatePreview();
+  });
+
+  // Insert a placeholder at the cursor
+  placeholdersEl.addEventListener('click', (e) => {
+    const btn = e.target.closest('.template-placeholder');
+    if (!btn) return;
+    const token = `{${btn.dataset.placeholder}}`;
+    const start = textInput.selectionStart;
+    const end = textInput.selectionEnd;
+    textInput.value = textInput.value.slice(0, start) + token + textInput.value.slice(end);
+    textInput.focus();
+    textInput.setSelectionRange(start + token.length, start + token.length);
+    textInput.dispatchEvent(new Event('input'));
+  });
+
+  document.getElementById('templateLanguage').addEventListener('change', (e) => {
+    language = e.target.value;
+    showTemplate();
+  });
+  document.getElementById('templateType').addEventListener('change', (e) => {
+    type = e.target.value;
+    showTemplate();
+  });
+
+  document.getElementById('resetTemplateBtn').addEventListener('click', () => {
+    if (draft[language]) delete draft[language][type];
+    showTemplate();
+  });
+  document.getElementById('cancelTemplatesBtn').addEventListener('click', closeTemplatesDialog);
+  document.getElementById('saveTemplatesBtn').addEventListener('click', () => {
+    const hasEmpty = Object.values(draft).some(texts => Object.values(texts).some(text => !text.trim()));
+    if (hasEmpty) {
+      alert("A message can't be empty - use Reset to Default to go back to the original text");
+      return;
+    }
+
+    // Drop empty language entries so defaults keep applying
+    Object.keys(draft).forEach(code => {
+      if (Object.keys(draft[code]).length === 0) delete draft[code];
+    });
+    messageTemplates = draft;
+    saveMessageTemplates();
+    closeTemplatesDialog();
+    showToast('Templates saved');
+  });
+
+  showTemplate();
+}
+
+function closeTemplatesDialog() {
+  const dialog = document.getElementById('templatesDialog');
+  if (dialog) dialog.remove();
+}
+
+// ==================== STUDENT PROFILES ====================
+
+const STUDENT_BOARDS = ['CBSE', 'ICSE', 'IB', 'IGCSE', 'State Board'];
+
+function saveStudents() {
+  appStorage.set('students', students);
+}
+
+function getStudentById(studentId) {
+  return students.find(s => s.id === studentId) || null;
+}
+
+// Find a student by name (exact match first, then case-insensitive)
+function findStudentByName(name) {
+  const trimmed = name.trim();
+  const key = trimmed.toLowerCase();
+  return students.find(s => s.name === trimmed) || students.find(s => s.name.toLowerCase() === key) || null;
+}
+
+// Get the profile for a class - by studentId, or by name for older data
+function getStudentForClass(cls) {
+  return (cls.studentId && getStudentById(cls.studentId)) || findStudentByName(cls.student);
+}
+
+function createStudentRecord(fields) {
+  return {
+    id: generateId('student'),
+    name: '',
+    parentName: '',
+    phone: '',
+    parentPhone: '',
+    email: '',
+    grade: '',
+    board: '',
+    school: '',
+    language: '',
+    notes: '',
+    archived: false,
+    createdAt: new Date().toISOString(),
+    ...fields
+  };
+}
+
+// Get the student with this name, creating a minimal profile for a new name
+function getOrCreateStudent(name) {
+  const existing = findStudentByName(name);
+  if (existing) return existing;
+
+  const student = createStudentRecord({ name: name.trim() });
+  students.push(student);
+  saveStudents();
+  return student;
+}
+
+// Point a class at its student profile and use the profile's spelling of the name
+function linkClassToStudent(cls) {
+  const student = getOrCreateStudent(cls.student);
+  cls.student = student.name;
+  cls.studentId = student.id;
+
+  if (cls.groupStudents) {
+    cls.groupStudents = cls.groupStudents.map(member => {
+      const memberStudent = getOrCreateStudent(member.student);
+      return { ...member, student: memberStudent.name, studentId: memberStudent.id };
+    });
+  }
+  return cls;
+}
+
+// Make sure every class and series references a student profile.
+// Creates profiles for older data (and imports) that only have names.
+function syncStudentRegistry() {
+  let classesChanged = false;
+  let archiveChanged = false;
+  let seriesChanged = false;
+
+  // Match names exactly here so existing history (and payment keys) is never merged by accident
+  const findOrCreateExact = (name) => {
+    let student = students.find(s => s.name === name);
+    if (!student) {
+      student = createStudentRecord({ name });
+      students.push(student);
+      saveStudents();
+    }
+    return student;
+  };
+
+  const sync = (record) => {
+    const student = (record.studentId && getStudentById(record.studentId)) || findOrCreateExact(record.student);
+    if (record.studentId === student.id && record.student === student.name) return false;
+    record.studentId = student.id;
+    record.student = student.name;
+    return true;
+  };
+
+  // Group classes reference every student in the group
+  const syncGroup = (record) => {
+    let changed = false;
+    (record.groupStudents || []).forEach(member => {
+      if (sync(member)) changed = true;
+    });
+    return changed;
+  };
+
+  classes.forEach(cls => {
+    if (sync(cls)) classesChanged = true;
+    if (syncGroup(cls)) classesChanged = true;
+  });
+  archivedClasses.forEach(cls => {
+    if (sync(cls)) archiveChanged = true;
+    if (syncGroup(cls)) archiveChanged = true;
+  });
+  classSeries.forEach(series => {
+    if (sync(series)) seriesChanged = true;
+    if (syncGroup(series)) seriesChanged = true;
+  });
+
+  if (classesChanged) saveClasses();
+  if (archiveChanged) saveArchivedClasses();
+  if (seriesChanged) saveSeries();
+}
+
+// Rename a student everywhere the name is stored alongside the ID
+// (classes, series, rates and payment keys) so their history stays together
+function renameStudent(student, newName) {
+  const oldName = student.name;
+  student.name = newName;
+
+  const renameIn = (record) => {
+    if (record.studentId === student.id) record.student = newName;
+    (record.groupStudents || []).forEach(member => {
+      if (member.studentId === student.id) member.student = newName;
+    });
+  };
+
+  getAllClasses().forEach(renameIn);
+  classSeries.forEach(series => {
+    renameIn(series);
+    Object.values(series.exceptions || {}).forEach(renameIn);
+  });
+
+  if (studentRates[oldName] !== undefined) {
+    studentRates[newName] = studentRates[oldName];
+    delete studentRates[oldName];
+  }
+  if (rateHistory[oldName]) {
+    rateHistory[newName] = rateHistory[oldName];
+    delete rateHistory[oldName];
+  }
+
+  reminderLog.forEach(entry => {
+    if (entry.studentId === student.id) entry.student = newName;
+  });
+  // Undoing an earlier change would bring back the old name in classes only
+  clearUndoHistory();
+
+  saveStudents();
+  saveClasses();
+  saveArchivedClasses();
+  saveSeries();
+  savePayments();
+  saveRates();
+  saveReminderLog();
+  appStorage.set('paymentStatus', paymentStatus);
+}
+
+// Classes taught so far, archived ones included, e.g. "42 classes since Mar 2025"
+function describeStudentHistory(student) {
+  const todayStr = formatDateToYYYYMMDD(new Date());
+  const taught = [...getAllClasses(), ...getSeriesOccurrences('', todayStr)]
+    .filter(c => !c.cancelled && !c.pendingConfirmation && isClassCompleted(c) && classHasStudent(c, student.name));
+  if (taught.length === 0) return '';
+
+  const firstDate = taught.reduce((first, c) => c.date < first ? c.date : first, todayStr);
+  const since = new Date(firstDate + 'T12:00:00').toLocaleDateString('en-IN', { month: 'short', year: 'numeric' });
+  return `${taught.length} ${taught.length === 1 ? 'class' : 'classes'} since ${since}`;
+}
+
+// Render the profile card above the selected student's schedule
+function renderStudentProfile(student) {
+  if (!student) {
+    studentProfile.classList.add("hidden");
+    studentProfile.innerHTML = "";
+    return;
+  }
+
+  const meta = [
+    student.grade ? `Grade ${escapeHtml(student.grade)}` : '',
+    escapeHtml(student.board),
+    escapeHtml(student.school)
+  ].filter(Boolean).join(' · ');
+
+  const details = [];
+  if (student.parentName) details.push(['Parent', escapeHtml(student.parentName)]);
+  if (student.phone) details.push(['Student Phone', `<a href="tel:${escapeHtml(student.phone)}">${escapeHtml(student.phone)}</a>`]);
+  if (student.parentPhone) details.push(['Parent Phone', `<a href="tel:${escapeHtml(student.parentPhone)}">${escapeHtml(student.parentPhone)}</a>`]);
+  if (student.email) details.push(['Email', `<a href="mailto:${escapeHtml(student.email)}">${escapeHtml(student.email)}</a>`]);
+  if (student.language && student.language !== 'en') details.push(['Messages', MESSAGE_LANGUAGES[student.language] || student.language]);
+  if (student.notes) details.push(['Notes', escapeHtml(student.notes)]);
+  const usage = getPackageUsage(student.id);
+  if (usage.packages.length > 0) {
+    details.push(['Prepaid', `<span class="package-credits ${usage.remaining <= PACKAGE_LOW_CREDITS ? 'low' : ''}">${describePackageCredits(usage)}</span>`]);
+  }
+  const advance = getStudentLedger(student.id, usage.prepaidIds).credit;
+  if (advance > 0) details.push(['Advance', `₹${advance.toLocaleString()}`]);
+  const history = describeStudentHistory(student);
+  if (history) details.push(['History', history]);
+
+  studentProfile.innerHTML = `
+    <div class="student-profile-header">
+      <div>
+        <h3 class="student-profile-name">
+          ${escapeHtml(student.name)}
+          ${student.archived ? '<span class="archived-badge">Archived</span>' : ''}
+        </h3>
+        ${meta ? `<p class="student-profile-meta">${meta}</p>` : ''}
+      </div>
+      <div class="student-profile-actions">
+        <button class="btn btn-secondary btn-sm" id="editStudentBtn">Edit</button>
+        <button class="btn btn-secondary btn-sm" id="studentPackagesBtn">🎟 Prepaid</button>
+        <button class="btn btn-secondary btn-sm" id="studentPaymentsBtn">💰 Payment</button>
+        <button class="btn btn-secondary btn-sm" id="archiveStudentBtn">${student.archived ? 'Unarchive' : 'Archive'}</button>
+      </div>
+    </div>
+    ${details.length > 0 ? `
+      <dl class="student-profile-details">
+        ${details.map(([label, value]) => `<dt>${label}</dt><dd>${value}</dd>`).join('')}
+      </dl>
+    ` : '<p class="student-profile-empty">No contact details yet - tap Edit to add them</p>'}
+  `;
+  studentProfile.classList.remove("hidden");
+
+  document.getElementById("editStudentBtn").addEventListener("click", () => showStudentDialog(student.id));
+  document.getElementById("studentPackagesBtn").addEventListener("click", () => showPackageDialog(student.id));
+  document.getElementById("studentPaymentsBtn").addEventListener("click", () => showStudentPaymentDialog(student));
+  document.getElementById("archiveStudentBtn").addEventListener("click", () => toggleStudentArchived(student.id));
+}
+
+function toggleStudentArchived(studentId) {
+  const student = getStudentById(studentId);
+  if (!student) return;
+
+  student.archived = !student.archived;
+  saveStudents();
+  updateStudentDropdowns();
+  renderStudentSchedule();
+  showToast(student.archived ? `${student.name} archived` : `${student.name} is active again`);
+}
+
+// Show add/edit dialog for a student profile (null studentId adds a new student)
+function showStudentDialog(studentId) {
+  const student = studentId ? getStudentById(studentId) : createStudentRecord({});
+  if (!student) return;
+
+  const field = (id, label, value, type = 'text') => `
+    <div class="form-group">
+      <label for="${id}">${label}</label>
+      <input type="${type}" id="${id}" value="${escapeHtml(value)}" autocomplete="off" />
+    </div>
+  `;
+
+  const dialogHtml = `
+    <div class="student-dialog-content">
+      <h3>${studentId ? 'Edit Student' : 'Add Student'}</h3>
+      ${field('profileName', 'Student Name *', student.name)}
+      ${field('profileParentName', 'Parent Name', student.parentName)}
+      <div class="form-row">
+        ${field('profilePhone', 'Student Phone', student.phone, 'tel')}
+        ${field('profileParentPhone', 'Parent Phone', student.parentPhone || '', 'tel')}
+      </div>
+      ${field('profileEmail', 'Email', student.email, 'email')}
+      <div class="form-row">
+        ${field('profileGrade', 'Grade', student.grade)}
+        <div class="form-group">
+          <label for="profileBoard">Board</label>
+          <select id="profileBoard">
+            <option value="">-- Select --</option>
+            ${STUDENT_BOARDS.map(board => `<option value="${board}" ${student.board === board ? 'selected' : ''}>${board}</option>`).join('')}
+          </select>
+        </div>
+      </div>
+      <div class="form-row">
+        ${field('profileSchool', 'School', student.school)}
+        <div class="form-group">
+          <label for="profileLanguage">Message Language</label>
+          <select id="profileLanguage">
+            ${Object.entries(MESSAGE_LANGUAGES).map(([code, name]) => `<option value="${code}" ${(student.language || 'en') === code ? 'selected' : ''}>${name}</option>`).join('')}
+          </select>
+        </div>
+      </div>
+      <div class="form-group">
+        <label for="profileNotes">Notes</label>
+        <textarea id="profileNotes" rows="3">${escapeHtml(student.notes)}</textarea>
+      </div>
+      <div class="dialog-actions">
+        <button class="btn btn-secondary" id="cancelStudentBtn">Cancel</button>
+        <button class="btn btn-primary" id="saveStudentBtn">Save</button>
+      </div>
+    </div>
+  `;
+
+  const dialog = document.createElement('div');
+  dialog.id = 'studentDialog';
+  dialog.className = 'modal';
+  dialog.innerHTML = `<div class="modal-content">${dialogHtml}</div>`;
+  dialog.addEventListener('click', (e) => {
+    if (e.target === dialog) closeStudentDialog();
+  });
+  document.body.appendChild(dialog);
+
+  document.getElementById('cancelStudentBtn').addEventListener('click', closeStudentDialog);
+  document.getElementById('saveStudentBtn').addEventListener('click', () => saveStudentFromDialog(studentId));
+  document.getElementById('profileName').focus();
+}
+
+function isValidPhone(phone) {
+  const digits = phone.replace(/\D/g, '');
+  return /^[+\d\s()-]+$/.test(phone) && digits.length >= 10 && digits.length <= 15;
+}
+
+function closeStudentDialog() {
+  const dialog = document.getElementById('studentDialog');
+  if (dialog) dialog.remove();
+}
+
+function saveStudentFromDialog(studentId) {
+  const value = (id) => document.getElementById(id).value.trim();
+  const name = value('profileName');
+  const phone = value('profilePhone');
+  const parentPhone = value('profileParentPhone');
+  const email = value('profileEmail');
+
+  if (!name) {
+    alert("Please enter the student's name");
+    return;
+  }
+
+  const sameName = findStudentByName(name);
+  if (sameName && sameName.id !== studentId) {
+    alert(`A student named "${sameName.name}" already exists`);
+    return;
+  }
+
+  if ((phone && !isValidPhone(phone)) || (parentPhone && !isValidPhone(parentPhone))) {
+    alert("Please enter a valid phone number (10-15 digits, with country code if outside India)");
+    return;
+  }
+
+  if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+    alert("Please enter a valid email address");
+    return;
+  }
+
+  const fields = {
+    parentName: value('profileParentName'),
+    phone,
+    parentPhone,
+    email,
+    grade: value('profileGrade'),
+    board: value('profileBoard'),
+    school: value('profileSchool'),
+    language: value('profileLanguage'),
+    notes: value('profileNotes')
+  };
+
+  let student = getStudentById(studentId);
+  if (student) {
+    if (student.name !== name) renameStudent(student, name);
+    Object.assign(student, fields);
+  } else {
+    student = createStudentRecord({ name, ...fields });
+    students.push(student);
+  }
+  saveStudents();
+
+  closeStudentDialog();
+  updateStudentDropdowns();
+  studentSelect.value = student.id;
+  renderStudentSchedule();
+  showToast(studentId ? 'Student updated' : `${student.name} added`);
+}
+
+// ==================== RATE HISTORY ====================
+
+// Rates change with an effective-from date so past classes keep the fee they were taught at.
+// A history is a list of { from, rate } sorted by date; from '' means since the beginning.
+// studentRates and defaultRate always hold the latest rate, for new classes.
+
+function saveRates() {
+  appStorage.set('studentRates', studentRates);
+  appStorage.set('rateHistory', rateHistory);
+  appStorage.set('defaultRate', defaultRate);
+  appStorage.set('defaultRateHistory', defaultRateHistory);
+}
+
+// Rate in force on a date from a history, or null if the history starts later
+function findRateInHistory(history, dateStr) {
+  let rate = null;
+  history.forEach(entry => {
+    if (entry.from <= dateStr) rate = entry.rate;
+  });
+  return rate;
+}
+
+function getDefaultRateOn(dateStr) {
+  const rate = findRateInHistory(defaultRateHistory, dateStr);
+  return rate !== null ? rate : defaultRate;
+}
+
+// A student's rate on a date - their own rate if one was set by then, otherwise the default
+function getStudentRateOn(student, dateStr) {
+  const history = rateHistory[student];
+  if (history) {
+    const rate = findRateInHistory(history, dateStr);
+    if (rate !== null) return rate;
+  } else if (studentRates[student]) {
+    // Older data has a single rate for all dates
+    return studentRates[student];
+  }
+  return getDefaultRateOn(dateStr);
+}
+
+// Set a rate from a date on, replacing any later changes. Returns the new history.
+function addRateToHistory(history, rate, fromDate) {
+  const updated = history.filter(entry => entry.from < fromDate);
+  updated.push({ from: fromDate, rate });
+  return updated;
+}
+
+function setStudentRate(student, rate, fromDate) {
+  // Keep the single rate older data had for the classes before this change
+  const history = rateHistory[student] ||
+    (studentRates[student] !== undefined ? [{ from: '', rate: studentRates[student] }] : []);
+  rateHistory[student] = addRateToHistory(history, rate, fromDate);
+  studentRates[student] = rate;
+  saveRates();
+}
+
+function setDefaultRate(rate, fromDate) {
+  const history = defaultRateHistory.length > 0 ? defaultRateHistory : [{ from: '', rate: defaultRate }];
+  defaultRateHistory = addRateToHistory(history, rate, fromDate);
+  defaultRate = rate;
+  saveRates();
+}
+
+// Ask when a rate change takes effect - returns a YYYY-MM-DD date, '' for all classes, or null to cancel
+function askRateEffectiveDate(periodStartStr) {
+  const todayStr = formatDateToYYYYMMDD(new Date());
+  const formatOption = (dateStr) => formatDateShort(new Date(dateStr + 'T12:00:00'));
+  const choice = prompt(
+    `When does the new rate start?\n\n` +
+    `1 - From today, ${formatOption(todayStr)} (past classes keep their rate)\n` +
+    `2 - From the start of this period, ${formatOption(periodStartStr)}\n` +
+    `3 - For all classes, including past ones\n` +
+    `4 - From another date\n\n` +
+    `Enter 1-4:`
+  );
+
+  if (choice === '1') return todayStr;
+  if (choice === '2') return periodStartStr;
+  if (choice === '3') return '';
+  if (choice === '4') {
+    const dateStr = prompt("New rate starts from (YYYY-MM-DD):", todayStr);
+    if (dateStr && /^\d{4}-\d{2}-\d{2}$/.test(dateStr.trim()) && !isNaN(new Date(dateStr.trim() + 'T12:00:00'))) {
+      return dateStr.trim();
+    }
+    if (dateStr) alert("Please enter the date as YYYY-MM-DD");
+  }
+  return null;
+}
+
+// Describe a rate history for a tooltip, e.g. "From Oct 19: ₹600 · Before: ₹500"
+function describeRateHistory(history) {
+  return [...history].reverse().map(entry => entry.from
+    ? `From ${formatDateShort(new Date(entry.from + 'T12:00:00'))}: ₹${entry.rate}`
+    : `Before: ₹${entry.rate}`
+  ).join(' · ');
+}
+
+// ==================== CLASS TYPES ====================
+
+function saveClassTypes() {
+  appStorage.set('classTypes', classTypes);
+}
+
+// The class's type, or null if it has none (or its type was removed)
+function getClassType(cls) {
+  if (!cls.classType) return null;
+  return classTypes.find(type => type.id === cls.classType) || null;
+}
+
+// A type's rate on a date, or null if it had none then (the student's rate applies)
+function getClassTypeRateOn(type, dateStr) {
+  return type.rateHistory ? findRateInHistory(type.rateHistory, dateStr) : type.rate;
+}
+
+// Rate set on the class itself in the class form
+function hasClassRate(cls) {
+  return cls.rate !== null && cls.rate !== undefined;
+}
+
+// Classes and series using a type, so removing it can be confirmed
+function countClassesOfType(typeId) {
+  return getAllClasses().filter(c => c.classType === typeId).length +
+    classSeries.filter(s => s.classType === typeId).length;
+}
+
+function renderClassTypeOptions() {
+  classTypeSelect.innerHTML = '<option value="">Not set</option>' + classTypes.map(type =>
+    `<option value="${escapeHtml(type.id)}">${escapeHtml(type.name)}${type.rate !== null ? ` (₹${type.rate}/hr)` : ''}</option>`
+  ).join('');
+}
+
+// Show a class's type and rate in the class form (or clear them)
+function setClassTypeForm(cls) {
+  renderClassTypeOptions();
+  const type = cls ? getClassType(cls) : null;
+  classTypeSelect.value = type ? type.id : '';
+  classRateInput.value = cls && hasClassRate(cls) ? cls.rate : '';
+  updateClassRatePlaceholder();
+}
+
+function updateClassRatePlaceholder() {
+  const type = classTypes.find(t => t.id === classTypeSelect.value);
+  classRateInput.placeholder = type && type.rate !== null ? `${type.name} rate (₹${type.rate})` : 'Usual rate';
+}
+
+// Picking a type uses its duration for the class
+function applyClassTypeToForm() {
+  updateClassRatePlaceholder();
+  const type = classTypes.find(t => t.id === classTypeSelect.value);
+  if (!type) return;
+
+  selectedDuration = type.duration;
+  document.querySelectorAll(".duration-btn").forEach(btn => {
+    btn.classList.toggle("active", parseInt(btn.dataset.minutes) === selectedDuration);
+  });
+  if (startTimeInput.value) {
+    endTimeInput.value = addMinutesToTime(startTimeInput.value, selectedDuration);
+    checkFormClash();
+    updateCopyToDayClashState();
+  }
+  renderQuickSlots();
+}
+
+// ==================== CANCELLATION FEES ====================
+
+// A student cancelling late pays part of the class, per the policy in Schedule Settings
+// (e.g. within 12 hours = 50%). The percentage is stored on the class as cancelFeePercent
+// when it is cancelled, and cancelFeeWaived lets a fee be let off for one class.
+
+// Fee percentage if this class were cancelled by the student now - 0 if early enough or no fee is set
+function getLateCancellationPercent(cls) {
+  const policy = scheduleSettings.cancellationPolicy;
+  if (!cls || !cls.date || !policy.feePercent) return 0;
+  const hoursBefore = (new Date(`${cls.date}T${cls.start}:00`) - new Date()) / (60 * 60 * 1000);
+  return hoursBefore < policy.hours ? policy.feePercent : 0;
+}
+
+function hasCancellationFee(cls) {
+  return Boolean(cls.cancelled && cls.cancelFeePercent && !cls.cancelFeeWaived);
+}
+
+// Whether a class is charged for - a completed class, or a late cancellation once its time has passed
+function isChargeableClass(cls) {
+  if (cls.pendingConfirmation || !isClassCompleted(cls)) return false;
+  return !cls.cancelled || hasCancellationFee(cls);
+}
+
+// ==================== MAKE-UP CLASSES ====================
+
+// A make-up class is a new class (or repeating class) with makeupFor: { classKey, date, start, end }
+// pointing at the cancelled class it replaces - classKey finds it, the date and time describe it.
+// A cancellation is owed a make-up to each of its students until one is scheduled for them
+// or it is marked as not needed - owed to the student when we cancelled, owed by the
+// student when they cancelled.
+
+const MAKEUP_WINDOW_DAYS = 60; // Older cancellations are no longer chased for a make-up
+const MAKEUP_SEARCH_DAYS = 14; // How far ahead the make-up slot finder looks
+const MAKEUP_SLOT_LIMIT = 8;
+
+function getMakeupLink(cls) {
+  return { classKey: getClassKey(cls), date: cls.date, start: cls.start, end: cls.end };
+}
+
+function describeMakeupDate(link) {
+  return `${formatDateShort(new Date(link.date + 'T12:00:00'))}, ${formatTime(link.start)}`;
+}
+
+// Classes scheduled as make-ups - stored ones, and the first class of a repeating make-up
+function getMakeupClasses() {
+  const seriesMakeups = classSeries
+    .filter(series => series.makeupFor)
+    .map(series => {
+      const first = expandSeries(series, series.startDate, addDaysToDateStr(series.startDate, 14))[0];
+      return first ? { ...first, makeupFor: series.makeupFor } : null;
+    })
+    .filter(Boolean);
+  return [...getAllClasses().filter(c => c.makeupFor), ...seriesMakeups];
+}
+
+function isMakeupFor(makeup, cls) {
+  const link = makeup.makeupFor;
+  if (link.classKey) return link.classKey === getClassKey(cls);
+  // Links made before classes had IDs only have the date and time, and a student shared with the make-up
+  return !cls.seriesId && link.date === cls.date && link.start === cls.start &&
+    getClassMembers(makeup).some(member => classHasStudent(cls, member.student));
+}
+
+// The make-up scheduled for a cancelled class (for one of its students, if given), or null.
+// A cancelled make-up doesn't count.
+function findMakeupClass(cls, studentId = null, makeups = getMakeupClasses()) {
+  return makeups.find(makeup => !makeup.cancelled && isMakeupFor(makeup, cls) &&
+    (!studentId || getClassMembers(makeup).some(member => member.studentId === studentId))) || null;
+}
+
+// Cancelled stored classes and series occurrences: { cls } or { cls, occurrence } to open them by
+function getCancelledClasses() {
+  const cancelled = [];
+  classes.forEach(cls => {
+    if (cls.cancelled) cancelled.push({ cls });
+  });
+  classSeries.forEach(series => {
+    Object.entries(series.exceptions || {}).forEach(([dateStr, exception]) => {
+      if (!exception.cancelled || exception.deleted) return;
+      const cls = expandSeries(series, dateStr, dateStr)[0];
+      if (cls) cancelled.push({ cls, occurrence: { seriesId: series.id, date: dateStr } });
+    });
+  });
+  return cancelled;
+}
+
+// Recent cancellations still waiting for a make-up, oldest first, one entry per student:
+// { student, cls, index, occurrence, owedBy: 'student' | 'tutor' }
+function getOutstandingMakeups() {
+  const since = addDaysToDateStr(formatDateToYYYYMMDD(new Date()), -MAKEUP_WINDOW_DAYS);
+  const makeups = getMakeupClasses();
+  return getCancelledClasses()
+    .filter(({ cls }) => cls.date >= since && !cls.makeupNotNeeded && !cls.makeupFor)
+    .sort((a, b) => (a.cls.date + a.cls.start).localeCompare(b.cls.date + b.cls.start))
+    .flatMap(entry => getClassMembers(entry.cls)
+      .filter(member => !findMakeupClass(entry.cls, member.studentId, makeups))
+      .map(member => ({
+        ...entry,
+        student: member.student,
+        owedBy: entry.cls.cancelReason === 'student' ? 'student' : 'tutor'
+      })));
+}
+
+// Outstanding make-ups for the Students view - per student when showing everyone
+function renderMakeupList(makeups, showStudent) {
+  if (makeups.length === 0) return '';
+
+  const renderItem = (makeup) => `
+    <button type="button" class="makeup-item" ${makeup.occurrence
+      ? `data-series-id="${makeup.occurrence.seriesId}" data-date="${makeup.occurrence.date}"`
+      : `data-class-id="${makeup.cls.id}"`}>
+      ${showStudent ? `<strong>${escapeHtml(makeup.student)}</strong>` : ''}
+      <span>${escapeHtml(describeMakeupDate(makeup.cls))}</span>
+      <span class="makeup-item-reason">${CANCEL_REASONS[makeup.cls.cancelReason] || 'Cancelled'}</span>
+    </button>
+  `;
+  const renderGroup = (title, items) => items.length === 0 ? '' : `
+    <div class="makeup-group">
+      <div class="makeup-group-title">${title} (${items.length})</div>
+      ${items.map(renderItem).join('')}
+    </div>
+  `;
+
+  return `
+    <div class="student-makeups">
+      <h4>Make-up Classes</h4>
+      ${renderGroup(showStudent ? 'Owed to students' : 'We owe', makeups.filter(m => m.owedBy === 'tutor'))}
+      ${renderGroup(showStudent ? 'Owed by students' : 'Student owes', makeups.filter(m => m.owedBy === 'student'))}
+    </div>
+  `;
+}
+
+// Tapping a make-up item opens the cancelled class, where the make-up can be scheduled
+function bindMakeupItems() {
+  studentSchedule.querySelectorAll('.makeup-item').forEach(item => {
+    item.addEventListener('click', () => {
+      if (item.dataset.seriesId) {
+        openEditModal(null, { seriesId: item.dataset.seriesId, date: item.dataset.date });
+      } else {
+        openEditModal(item.dataset.classId);
+      }
+    });
+  });
+}
+
+// Show the make-up state of a cancelled class in the edit modal
+function updateMakeupRestoreSection(cls) {
+  const note = document.getElementById("makeupNote");
+  const scheduleBtn = document.getElementById("scheduleMakeupBtn");
+  const skipBtn = document.getElementById("skipMakeupBtn");
+  const makeups = getMakeupClasses();
+  const makeup = findMakeupClass(cls, null, makeups);
+  // A group class is made up once every student has a make-up
+  const madeUp = Boolean(makeup) &&
+    getClassMembers(cls).every(member => findMakeupClass(cls, member.studentId, makeups));
+
+  note.classList.toggle("hidden", !makeup && !cls.makeupNotNeeded);
+  note.textContent = makeup ? `Made up on ${describeMakeupDate(makeup)}` : 'No make-up needed';
+  scheduleBtn.classList.toggle("hidden", madeUp || Boolean(cls.makeupFor));
+  skipBtn.classList.toggle("hidden", madeUp || Boolean(cls.makeupFor));
+  skipBtn.textContent = cls.makeupNotNeeded ? "Make-up Needed" : "No Make-up Needed";
+}
+
+function handleToggleMakeupNeeded() {
+  const cls = getEditingClass();
+  if (!cls || !cls.cancelled) return;
+
+  recordUndo(cls.makeupNotNeeded ? "Mark make-up needed" : "Mark make-up not needed");
+  if (cls.makeupNotNeeded) {
+    updateEditingClass({}, ['makeupNotNeeded']);
+  } else {
+    updateEditingClass({ makeupNotNeeded: true });
+  }
+  updateMakeupRestoreSection(getEditingClass());
+  renderStudentSchedule();
+}
+
+// Open the add form for a make-up of the cancelled class in the modal, with free slots to pick from
+function handleScheduleMakeup() {
+  const cancelled = getEditingClass();
+  if (!cancelled || !cancelled.cancelled) return;
+
+  closeModal();
+  openAddModal();
+  makeupForClass = cancelled;
+  modalTitle.textContent = "Schedule Make-up Class";
+  checkWithStudentBtn.classList.add("hidden");
+
+  // Same student(s), place and kind of class as the one being made up
+  const studentExists = [...existingStudentSelect.options].some(opt => opt.value === cancelled.student);
+  existingStudentSelect.value = studentExists ? cancelled.student : "";
+  studentNameInput.value = studentExists ? "" : cancelled.student;
+  setGroupForm(cancelled);
+  updateGroupPrimaryName();
+  setLocationForm(cancelled.location);
+  setClassTypeForm(cancelled);
+
+  selectedDuration = getMinutesBetween(cancelled.start, cancelled.end);
+  document.querySelectorAll(".duration-btn").forEach(btn => {
+    btn.classList.toggle("active", parseInt(btn.dataset.minutes) === selectedDuration);
+  });
+
+  document.getElementById("makeupInfo").textContent =
+    `Make-up for the class on ${describeMakeupDate(cancelled)} (${CANCEL_REASONS[cancelled.cancelReason] || 'Cancelled'})`;
+  const slots = findMakeupSlots(selectedDuration, cancelled.location);
+  document.getElementById("makeupSlots").innerHTML = slots.length > 0
+    ? slots.map(slot => `
+        <button type="button" class="slot-chip" data-date="${slot.date}" data-start="${slot.start}" data-end="${slot.end}">
+          ${new Date(slot.date + 'T12:00:00').toLocaleDateString('en-IN', { weekday: 'short', day: 'numeric', month: 'short' })} · ${formatTime(slot.start)}
+        </button>
+      `).join('')
+    : `<span class="quick-slots-note">No free slots in the next ${MAKEUP_SEARCH_DAYS} days - pick a day and time below</span>`;
+  makeupSection.classList.remove("hidden");
+  renderQuickSlots();
+}
+
+// Free slots for a make-up over the coming days - at most two a day, none already past
+function findMakeupSlots(duration, location) {
+  const now = new Date();
+  const todayStr = formatDateToYYYYMMDD(now);
+  const nowTime = minutesToTime(now.getHours() * 60 + now.getMinutes());
+  const slots = [];
+
+  for (let i = 0; i < MAKEUP_SEARCH_DAYS && slots.length < MAKEUP_SLOT_LIMIT; i++) {
+    const dateStr = addDaysToDateStr(todayStr, i);
+    findFreeGaps(dateStr, location || null)
+      .map(gap => ({ ...gap, start: roundUpToSlotStep(dateStr === todayStr && gap.start < nowTime ? nowTime : gap.start) }))
+      .filter(gap => getMinutesBetween(gap.start, gap.end) >= duration)
+      .slice(0, 2)
+      .forEach(gap => slots.push({ date: dateStr, start: gap.start, end: addMinutesToTime(gap.start, duration) }));
+  }
+  return slots.slice(0, MAKEUP_SLOT_LIMIT);
+}
+
+// Picking a make-up slot moves the schedule to its week so the form saves it on that date
+function applyMakeupSlot(chip) {
+  currentWeekOffset = getWeekOffsetOfDate(chip.dataset.date);
+  updateWeekLabel();
+  renderWeekGrid();
+
+  daySelect.value = getDayNameFromDateStr(chip.dataset.date);
+  startTimeInput.value = chip.dataset.start;
+  endTimeInput.value = chip.dataset.end;
+  document.querySelectorAll("#makeupSlots .slot-chip").forEach(c => c.classList.toggle("active", c === chip));
+
+  renderQuickSlots();
+  updateWorkingHoursNote();
+  checkFormClash();
+  updateCopyToDayClashState();
+}
+
+// ==================== GROUP CLASSES ====================
+
+// A group class lists all its students in groupStudents as { student, studentId, rate },
+// rate being what that student pays for this group (null = their usual rate).
+// The first entry is also the class's own student, so single-student code keeps working.
+
+function isGroupClass(cls) {
+  return Boolean(cls.groupStudents && cls.groupStudents.length > 1);
+}
+
+// Students in a class - a single entry for a one-to-one class
+function getClassMembers(cls) {
+  if (isGroupClass(cls)) return cls.groupStudents;
+  return [{ student: cls.student, studentId: cls.studentId, rate: null }];
+}
+
+function classHasStudent(cls, studentName) {
+  return getClassMembers(cls).some(member => member.student === studentName);
+}
+
+// Name shown on cards and reminders, e.g. "Asha, Ravi & Kiran"
+function getClassLabel(cls) {
+  if (!isGroupClass(cls)) return cls.student;
+  const names = cls.groupStudents.map(member => member.student);
+  return `${names.slice(0, -1).join(', ')} & ${names[names.length - 1]}`;
+}
+
+// A student's rate for a class - their group rate, the class's own rate, its type's rate,
+// or failing those their usual rate on the class date
+function getMemberRate(cls, member) {
+  if (member.rate !== null && member.rate !== undefined) return member.rate;
+  if (hasClassRate(cls)) return cls.rate;
+  const type = getClassType(cls);
+  const typeRate = type ? getClassTypeRateOn(type, cls.date) : null;
+  if (typeRate !== null) return typeRate;
+  return getStudentRateOn(member.student, cls.date);
+}
+
+// What one student owes for a class - for a cancelled class, only its late cancellation fee
+function getMemberAmount(cls, member) {
+  const amount = (getMinutesBetween(cls.start, cls.end) / 60) * getMemberRate(cls, member);
+  if (cls.cancelled) return hasCancellationFee(cls) ? amount * cls.cancelFeePercent / 100 : 0;
+  return amount;
+}
+
+// Show the group rows in the class form for a class (or clear them)
+function setGroupForm(cls) {
+  groupStudentRows.innerHTML = '';
+  groupStudentsSection.classList.add("hidden");
+  if (!cls || !isGroupClass(cls)) return;
+
+  cls.groupStudents.slice(1).forEach(member => addGroupStudentRow(member));
+  const primaryRate = cls.groupStudents[0].rate;
+  groupStudentRows.querySelector('.group-student-row.primary .group-student-rate').value =
+    primaryRate !== null && primaryRate !== undefined ? primaryRate : '';
+}
+
+// Add a row for another student - the first one turns the class into a group
+function addGroupStudentRow(member = null) {
+  if (groupStudentRows.children.length === 0) {
+    groupStudentRows.insertAdjacentHTML('beforeend', `
+      <div class="group-student-row primary">
+        <span class="group-student-name"></span>
+        <input type="number" class="group-student-rate" min="0" step="50" placeholder="Usual rate" />
+      </div>
+    `);
+    updateGroupPrimaryName();
+  }
+
+  groupStudentRows.insertAdjacentHTML('beforeend', `
+    <div class="group-student-row">
+      <input type="text" class="group-student-input" list="groupStudentOptions" placeholder="Student name" autocomplete="off" />
+      <input type="number" class="group-student-rate" min="0" step="50" placeholder="Usual rate" />
+      <button type="button" class="group-student-remove" title="Remove from group">&times;</button>
+    </div>
+  `);
+  const row = groupStudentRows.lastElementChild;
+  if (member) {
+    row.querySelector('.group-student-input').value = member.student;
+    row.querySelector('.group-student-rate').value = member.rate !== null && member.rate !== undefined ? member.rate : '';
+  }
+  groupStudentsSection.classList.remove("hidden");
+  return row;
+}
+
+// Removing the last other student makes it a one-to-one class again
+function removeGroupStudentRow(row) {
+  row.remove();
+  if (groupStudentRows.querySelectorAll('.group-student-input').length === 0) {
+    setGroupForm(null);
+  }
+}
+
+// The first group row is the student picked at the top of the form
+function updateGroupPrimaryName() {
+  const nameEl = groupStudentRows.querySelector('.group-student-row.primary .group-student-name');
+  if (!nameEl) return;
+  nameEl.textContent = existingStudentSelect.value || studentNameInput.value.trim() || 'First student';
+}
+
+// Read the group from the class form - null for a one-to-one class
+function getGroupStudentsFromForm(primaryName) {
+  const readRate = (row) => {
+    const value = row.querySelector('.group-student-rate').value.trim();
+    return value === '' ? null : Number(value);
+  };
+
+  const rows = [...groupStudentRows.querySelectorAll('.group-student-row')];
+  const others = rows
+    .filter(row => !row.classList.contains('primary'))
+    .map(row => ({ student: row.querySelector('.group-student-input').value.trim(), rate: readRate(row) }))
+    .filter(member => member.student);
+  if (others.length === 0) return null;
+
+  return [{ student: primaryName, rate: readRate(rows[0]) }, ...others];
+}
+
+// Check the group from the form - returns an error message or null
+function validateGroupStudents(groupStudents) {
+  if (!groupStudents) return null;
+
+  const seen = new Set();
+  for (const member of groupStudents) {
+    const key = member.student.toLowerCase();
+    if (seen.has(key)) return `${member.student} is listed twice in this group`;
+    seen.add(key);
+
+    if (member.rate !== null && (isNaN(member.rate) || member.rate < 0 || member.rate > 100000)) {
+      return `Please enter a valid rate for ${member.student}`;
+    }
+  }
+  return null;
+}
+
+// ==================== LESSON PACKAGES ====================
+
+// A package is a prepayment for a number of classes:
+// { id, studentId, classes, amount, purchaseDate (YYYY-MM-DD), note }.
+// Credits are never stored - they are worked out from the classes completed since purchase.
+
+const PACKAGE_SIZES = [4, 8, 12];
+const PACKAGE_LOW_CREDITS = 2; // Warn when a student has this many prepaid classes (or fewer) left
+
+function savePackages() {
+  appStorage.set('packages', packages);
+}
+
+// Completed classes a student attended (or owes a late cancellation fee for) since a date
+// ('' = ever), oldest first, as { cls, member, paymentId } - member being their place in the class
+function getAttendedClasses(studentId, fromDate = '') {
+  const todayStr = formatDateToYYYYMMDD(new Date());
+  return [...getAllClasses().filter(c => c.date && c.date >= fromDate), ...getSeriesOccurrences(fromDate, todayStr)]
+    .filter(isChargeableClass)
+    .map(c => ({ cls: c, member: getClassMembers(c).find(m => m.studentId === studentId) }))
+    .filter(entry => entry.member)
+    .map(entry => ({ ...entry, paymentId: getClassPaymentId(entry.cls, entry.member) }))
+    .sort((a, b) => (a.cls.date + a.cls.start).localeCompare(b.cls.date + b.cls.start));
+}
+
+// Work out how a student's packages have been used. Completed classes draw down credits
+// oldest first, from the oldest package bought on or before the class date.
+// Classes already marked paid one by one don't use a credit, and late cancellation fees are paid in money.
+function getPackageUsage(studentId) {
+  const studentPackages = packages
+    .filter(pkg => pkg.studentId === studentId)
+    .sort((a, b) => a.purchaseDate.localeCompare(b.purchaseDate));
+  const usage = { packages: studentPackages.map(pkg => ({ pkg, used: 0 })), prepaidIds: new Set(), remaining: 0 };
+  if (studentPackages.length === 0) return usage;
+
+  getAttendedClasses(studentId, studentPackages[0].purchaseDate).forEach(({ cls, paymentId }) => {
+    if (paymentStatus[paymentId] || cls.cancelled) return;
+    const entry = usage.packages.find(e => e.used < e.pkg.classes && e.pkg.purchaseDate <= cls.date);
+    if (!entry) return;
+    entry.used++;
+    usage.prepaidIds.add(paymentId);
+  });
+
+  usage.remaining = usage.packages.reduce((sum, e) => sum + e.pkg.classes - e.used, 0);
+  return usage;
+}
+
+// Credits badge for the report and profile, e.g. "🎟 3 prepaid left"
+function describePackageCredits(usage) {
+  if (usage.remaining === 0) return '🎟 No prepaid classes left';
+  return `🎟 ${usage.remaining} prepaid ${usage.remaining === 1 ? 'class' : 'classes'} left`;
+}
+
+// Once a day, warn about students who are about to run out of prepaid classes
+function checkLowPackageCredits() {
+  const todayKey = formatDateToYYYYMMDD(new Date());
+  if (appStorage.get('lastPackageWarning') === todayKey) return;
+
+  const lowStudents = [...new Set(packages.map(pkg => pkg.studentId))]
+    .map(studentId => ({ student: getStudentById(studentId), usage: getPackageUsage(studentId) }))
+    .filter(({ student, usage }) => student && !student.archived && usage.remaining <= PACKAGE_LOW_CREDITS);
+  if (lowStudents.length === 0) return;
+
+  const names = lowStudents.map(({ student, usage }) => `${student.name} (${usage.remaining})`).join(', ');
+  showToast(`🎟 Prepaid classes running out: ${names}`, 8000);
+  appStorage.set('lastPackageWarning', todayKey);
+}
+
+// Show the packages for a student, with a form to record a new prepayment
+function showPackageDialog(studentId) {
+  const student = getStudentById(studentId);
+  if (!student) return;
+
+  const usage = getPackageUsage(studentId);
+  const rate = getStudentRateOn(student.name, formatDateToYYYYMMDD(new Date()));
+  const defaultClasses = 8;
+  const hoursPerClass = scheduleSettings.defaultDuration / 60;
+
+  const dialogHtml = `
+    <div class="package-dialog-content">
+      <h3>Prepaid Classes - ${escapeHtml(student.name)}</h3>
+      ${usage.packages.length > 0 ? `
+        <p class="package-balance ${usage.remaining <= PACKAGE_LOW_CREDITS ? 'low' : ''}">${describePackageCredits(usage)}</p>
+        <div class="package-list">
+          ${usage.packages.map(({ pkg, used }) => `
+            <div class="package-item ${used >= pkg.classes ? 'used-up' : ''}">
+              <div class="package-info">
+                <strong>${pkg.classes} classes · ₹${pkg.amount.toLocaleString()}</strong>
+                <span>Paid ${formatDateShort(new Date(pkg.purchaseDate + 'T12:00:00'))} · ${used} of ${pkg.classes} used${pkg.note ? ` · ${escapeHtml(pkg.note)}` : ''}</span>
+              </div>
+              <button class="package-delete-btn" data-package-id="${pkg.id}" title="Delete package">&times;</button>
+            </div>
+          `).join('')}
+        </div>
+      ` : '<p class="dialog-subtitle">No packages yet. Record a prepayment and completed classes will use it up automatically.</p>'}
+      <h4>Record Prepayment</h4>
+      <div class="form-row">
+        <div class="form-group">
+          <label for="packageClasses">Classes</label>
+          <input type="number" id="packageClasses" min="1" max="100" value="${defaultClasses}" />
+          <div class="package-size-chips">
+            ${PACKAGE_SIZES.map(size => `<button type="button" class="package-size-chip" data-classes="${size}">${size}</button>`).join('')}
+          </div>
+        </div>
+        <div class="form-group">
+          <label for="packageAmount">Amount Paid (₹)</label>
+          <input type="number" id="packageAmount" min="0" step="50" value="${Math.round(defaultClasses * hoursPerClass * rate)}" />
+        </div>
+      </div>
+      <div class="form-row">
+        <div class="form-group">
+          <label for="packageDate">Date Paid</label>
+          <input type="date" id="packageDate" value="${formatDateToYYYYMMDD(new Date())}" />
+        </div>
+        <div class="form-group">
+          <label for="packageNote">Note</label>
+          <input type="text" id="packageNote" placeholder="e.g. UPI, cash" autocomplete="off" />
+        </div>
+      </div>
+      <div class="dialog-actions">
+        <button class="btn btn-secondary" id="cancelPackageBtn">Close</button>
+        <button class="btn btn-primary" id="savePackageBtn">Add Package</button>
+      </div>
+    </div>
+  `;
+
+  const dialog = document.createElement('div');
+  dialog.id = 'packageDialog';
+  dialog.className = 'modal';
+  dialog.innerHTML = `<div class="modal-content">${dialogHtml}</div>`;
+  dialog.addEventListener('click', (e) => {
+    if (e.target === dialog) closePackageDialog();
+  });
+  document.body.appendChild(dialog);
+
+  dialog.querySelectorAll('.package-size-chip').forEach(chip => {
+    chip.addEventListener('click', () => {
+      const count = parseInt(chip.dataset.classes);
+      document.getElementById('packageClasses').value = count;
+      document.getElementById('packageAmount').value = Math.round(count * hoursPerClass * rate);
+    });
+  });
+  dialog.querySelectorAll('.package-delete-btn').forEach(btn => {
+    btn.addEventListener('click', () => deletePackage(btn.dataset.packageId, studentId));
+  });
+  document.getElementById('cancelPackageBtn').addEventListener('click', closePackageDialog);
+  document.getElementById('savePackageBtn').addEventListener('click', () => savePackageFromDialog(studentId));
+}
+
+function closePackageDialog() {
+  const dialog = document.getElementById('packageDialog');
+  if (dialog) dialog.remove();
+}
+
+function savePackageFromDialog(studentId) {
+  const classCount = parseInt(document.getElementById('packageClasses').value);
+  const amount = parseInt(document.getElementById('packageAmount').value);
+  const purchaseDate = document.getElementById('packageDate').value;
+
+  if (isNaN(classCount) || classCount < 1 || classCount > 100) {
+    alert("Please enter the number of classes (1-100)");
+    return;
+  }
+  if (isNaN(amount) || amount < 0) {
+    alert("Please enter the amount paid");
+    return;
+  }
+  if (!purchaseDate) {
+    alert("Please enter the date it was paid");
+    return;
+  }
+
+  packages.push({
+    id: generateId('package'),
+    studentId,
+    classes: classCount,
+    amount,
+    purchaseDate,
+    note: document.getElementById('packageNote').value.trim(),
+    createdAt: new Date().toISOString()
+  });
+  savePackages();
+
+  closePackageDialog();
+  refreshPaymentViews();
+  showToast(`Added ${classCount} prepaid classes`);
+}
+
+function deletePackage(packageId, studentId) {
+  if (!confirm("Delete this package? Classes it covered will show as unpaid again.")) return;
+
+  packages = packages.filter(pkg => pkg.id !== packageId);
+  savePackages();
+
+  closePackageDialog();
+  refreshPaymentViews();
+  showPackageDialog(studentId);
+}
+
+// Re-render the places that show what students have paid
+function refreshPaymentViews() {
+  renderReport();
+  renderStudentSchedule();
+  updateTaskBadge();
+}
+
+// ==================== PAYMENT LEDGER ====================
+
+// A payment is money received from a student:
+// { id, studentId, amount, date (YYYY-MM-DD), method, reference, allocations: { classPaymentId: amount } }.
+// Whatever is not allocated to a class is advance credit for the oldest classes still owing.
+
+const PAYMENT_METHODS = {
+  upi: "UPI",
+  cash: "Cash",
+  bank: "Bank transfer",
+  other: "Other"
+};
+
+function savePayments() {
+  appStorage.set('payments', payments);
+}
+
+function getAllocatedTotal(payment) {
+  return Object.values(payment.allocations || {}).reduce((sum, amount) => sum + amount, 0);
+}
 
-    // Set duration
-    const duration = getMinutesBetween(originalClass.start, originalClass.end);
-    selectedDuration = duration;
-    document.querySelectorAll(".duration-btn").forEach(btn => {
-      btn.classList.toggle("active", parseInt(btn.dataset.minutes) === duration);
+// Work out what each of a student's completed classes has been paid from the ledger.
+// Allocations pay their class first (up to its amount), then unallocated money pays
+// the oldest classes still owing. Allocations to deleted classes go back into credit.
+function getStudentLedger(studentId, prepaidIds = getPackageUsage(studentId).prepaidIds) {
+  const studentPayments = payments.filter(payment => payment.studentId === studentId);
+  const ledger = { payments: studentPayments, paidById: {}, credit: 0 };
+  if (studentPayments.length === 0) return ledger;
+
+  const allocated = {};
+  studentPayments.forEach(payment => {
+    Object.entries(payment.allocations || {}).forEach(([paymentId, amount]) => {
+      allocated[paymentId] = (allocated[paymentId] || 0) + amount;
     });
+  });
 
-    formClashWarning.classList.add("hidden");
-    suggestedSlots.classList.add("hidden");
-    updateQuickSlotsClashState();
-    updateCopyToDayClashState();
+  let credit = studentPayments.reduce((sum, payment) => sum + payment.amount, 0);
+  const owing = [];
+  getAttendedClasses(studentId).forEach(({ cls, member, paymentId }) => {
+    if (paymentStatus[paymentId] || prepaidIds.has(paymentId)) return;
+    const due = Math.round(getMemberAmount(cls, member));
+    const paid = Math.min(due, allocated[paymentId] || 0);
+    ledger.paidById[paymentId] = paid;
+    credit -= paid;
+    if (paid < due) owing.push({ paymentId, due });
+  });
 
-    modal.classList.remove("hidden");
-  }, 100);
+  owing.forEach(({ paymentId, due }) => {
+    const amount = Math.min(due - ledger.paidById[paymentId], credit);
+    if (amount <= 0) return;
+    ledger.paidById[paymentId] += amount;
+    credit -= amount;
+  });
+
+  ledger.credit = credit;
+  return ledger;
 }
 
-// Clash Detection
-function hasClash(newClass, excludeIndex = null) {
-  return classes.some((c, i) => {
-    if (excludeIndex !== null && i === excludeIndex) return false;
-    if (c.cancelled) return false; // Cancelled classes don't cause clashes
-    // Check by date if available, otherwise fall back to day name
-    const sameDay = newClass.date ? c.date === newClass.date : c.day === newClass.day;
-    return sameDay && timesOverlap(newClass, c);
-  });
+// Paid state of each student's place in a class - from classes marked paid (older data),
+// prepaid packages and the ledger. Package and ledger work is done once per student.
+function createPaymentLookup() {
+  const cache = {};
+  const forStudent = (studentId) => {
+    if (!cache[studentId]) {
+      const usage = getPackageUsage(studentId);
+      cache[studentId] = { usage, ledger: getStudentLedger(studentId, usage.prepaidIds) };
+    }
+    return cache[studentId];
+  };
+
+  return {
+    getPackageUsage: (studentId) => forStudent(studentId).usage,
+    getLedger: (studentId) => forStudent(studentId).ledger,
+    // { paymentId, due, paid, prepaid, isPaid } for one student's place in a class
+    getClassPayment: (cls, member) => {
+      const paymentId = getClassPaymentId(cls, member);
+      const due = Math.round(getMemberAmount(cls, member));
+      const { usage, ledger } = forStudent(member.studentId);
+      const prepaid = usage.prepaidIds.has(paymentId);
+      const paid = paymentStatus[paymentId] || prepaid ? due : Math.min(due, ledger.paidById[paymentId] || 0);
+      return { paymentId, due, paid, prepaid, isPaid: paid >= due };
+    }
+  };
 }
 
-function checkFormClash() {
-  const day = daySelect.value;
-  const start = startTimeInput.value;
-  const end = endTimeInput.value;
+// Send a receipt for a payment over WhatsApp
+function sendPaymentReceipt(paymentId) {
+  const payment = payments.find(p => p.id === paymentId);
+  const student = payment ? getStudentById(payment.studentId) : null;
+  if (!student) return;
 
-  if (!day || !start || !end) {
-    formClashWarning.classList.add("hidden");
-    suggestedSlots.classList.add("hidden");
-    return;
-  }
+  const classCount = Object.keys(payment.allocations || {}).length;
+  const advance = payment.amount - getAllocatedTotal(payment);
+  let classesText = classCount > 0 ? `For ${classCount} class${classCount > 1 ? 'es' : ''}` : 'Advance for upcoming classes';
+  if (classCount > 0 && advance > 0) classesText += ` + ₹${advance.toLocaleString()} advance`;
 
-  // Calculate date for the selected day in current week
-  const weekStart = getWeekStartDate(currentWeekOffset);
-  const dayIndex = DAYS.indexOf(day);
-  const classDate = new Date(weekStart);
-  classDate.setDate(weekStart.getDate() + dayIndex);
-  const dateStr = formatDateToYYYYMMDD(classDate);
+  const message = buildMessage('receipt', {
+    student: student.name,
+    amount: payment.amount.toLocaleString(),
+    date: formatDateShort(new Date(payment.date + 'T12:00:00')),
+    method: [PAYMENT_METHODS[payment.method] || payment.method, payment.reference].filter(Boolean).join(' - '),
+    classes: classesText
+  }, student);
 
-  const testClass = { day, date: dateStr, start, end };
+  const number = chooseWhatsAppNumber(student, true);
+  if (number === null) return;
+  openWhatsApp(message, number);
+}
 
-  if (hasClash(testClass, editingIndex)) {
-    formClashWarning.classList.remove("hidden");
-    showSuggestedSlots(day);
-  } else {
-    formClashWarning.classList.add("hidden");
-    suggestedSlots.classList.add("hidden");
-  }
+function deletePayment(paymentId) {
+  if (!confirm("Delete this payment? Classes it paid for will show as unpaid again.")) return false;
+
+  payments = payments.filter(p => p.id !== paymentId);
+  savePayments();
+  refreshPaymentViews();
+  return true;
 }
 
-// Auto-Suggest Available Slots
-// Initialize slot chips event delegation (called once in setupEventListeners)
-function initSlotChipsEventDelegation() {
-  slotsList.addEventListener("click", (e) => {
-    const chip = e.target.closest(".slot-chip");
-    if (!chip) return;
+// Remove a paid mark set before the ledger, e.g. one ticked by mistake
+function unmarkClassPaid(paymentId) {
+  if (!confirm("Remove the paid mark from this class? It will show as unpaid again.")) return false;
 
-    startTimeInput.value = chip.dataset.start;
-    endTimeInput.value = chip.dataset.end;
-    checkFormClash();
-    updateQuickSlotsClashState();
-    updateCopyToDayClashState();
-  });
+  delete paymentStatus[paymentId];
+  appStorage.set('paymentStatus', paymentStatus);
+  refreshPaymentViews();
+  return true;
 }
 
-function showSuggestedSlots(day) {
-  const availableSlots = findAvailableSlots(day);
+// Record a payment from the student profile - offers every completed class still owing
+function showStudentPaymentDialog(student) {
+  const paymentLookup = createPaymentLookup();
+  const owingIds = getAttendedClasses(student.id)
+    .filter(({ cls, member }) => !paymentLookup.getClassPayment(cls, member).isPaid)
+    .map(({ paymentId }) => paymentId);
+  showMarkPaidDialog(student.name, owingIds);
+}
 
-  if (availableSlots.length === 0) {
-    suggestedSlots.classList.add("hidden");
-    return;
-  }
+// ==================== INVOICES ====================
 
-  slotsList.innerHTML = availableSlots.map(slot => `
-    <button type="button" class="slot-chip" data-start="${slot.start}" data-end="${slot.end}">
-      ${formatTime(slot.start)} - ${formatTime(slot.end)}
-    </button>
-  `).join("");
+// An invoice is a snapshot of a student's unpaid completed classes in a period:
+// { id, seq, number, studentId, student, from, to, lines: [{ date, start, end, minutes, rate, amount, paid, group }],
+//   subtotal, discount: { type: 'percent' | 'amount', value }, discountAmount, paidAmount, total, note, issuedAt }.
+// Classes already paid or covered by a package are left out, and part payments are taken off the total.
+// It is kept as issued so reprints match what was sent, even if classes or rates change later.
 
-  // Event listeners handled via delegation (initSlotChipsEventDelegation)
+const DEFAULT_INVOICE_SETTINGS = {
+  prefix: 'INV',
+  businessName: 'Mindful Maths',
+  businessDetails: '',
+  paymentDetails: ''
+};
 
-  suggestedSlots.classList.remove("hidden");
+function saveInvoices() {
+  appStorage.set('invoices', invoices);
 }
 
-function findAvailableSlots(day) {
-  const dayClasses = classes
-    .filter(c => c.day === day)
-    .sort((a, b) => a.start.localeCompare(b.start));
-
-  const slots = [];
-  let currentStart = `${String(WORKING_HOURS.start).padStart(2, '0')}:00`;
-  const dayEnd = `${String(WORKING_HOURS.end).padStart(2, '0')}:00`;
+function getInvoiceSettings() {
+  return { ...DEFAULT_INVOICE_SETTINGS, ...invoiceSettings };
+}
 
-  // If editing, exclude current class from consideration
-  const relevantClasses = editingIndex !== null
-    ? dayClasses.filter(c => classes.indexOf(c) !== editingIndex)
-    : dayClasses;
+// Invoice numbers run in sequence across all students, e.g. "INV-0042"
+function getNextInvoiceSeq() {
+  return invoices.reduce((max, invoice) => Math.max(max, invoice.seq || 0), 0) + 1;
+}
 
-  for (const cls of relevantClasses) {
-    // Check if there's a gap before this class
-    if (currentStart < cls.start) {
-      const gapMinutes = getMinutesBetween(currentStart, cls.start);
-      if (gapMinutes >= selectedDuration) {
-        slots.push({
-          start: currentStart,
-          end: addMinutesToTime(currentStart, selectedDuration)
-        });
-      }
-    }
-    // Move current start to end of this class
-    if (cls.end > currentStart) {
-      currentStart = cls.end;
-    }
-  }
+function formatInvoiceNumber(seq) {
+  return `${getInvoiceSettings().prefix}-${String(seq).padStart(4, '0')}`;
+}
 
-  // Check for slot at the end of the day
-  if (currentStart < dayEnd) {
-    const gapMinutes = getMinutesBetween(currentStart, dayEnd);
-    if (gapMinutes >= selectedDuration) {
-      slots.push({
-        start: currentStart,
-        end: addMinutesToTime(currentStart, selectedDuration)
+// Completed classes a student attended between two YYYY-MM-DD dates and hasn't fully paid for, as invoice lines
+function getInvoiceLines(studentName, fromStr, toStr) {
+  const paymentLookup = createPaymentLookup();
+  const lines = [];
+  getClassesInRange(new Date(fromStr + 'T00:00:00'), new Date(toStr + 'T23:59:59'))
+    .filter(isChargeableClass)
+    .forEach(c => {
+      const member = getClassMembers(c).find(m => m.student === studentName);
+      if (!member) return;
+      const payment = paymentLookup.getClassPayment(c, member);
+      if (payment.isPaid) return;
+      lines.push({
+        date: c.date,
+        start: c.start,
+        end: c.end,
+        minutes: c.cancelled ? 0 : getMinutesBetween(c.start, c.end),
+        rate: getMemberRate(c, member),
+        amount: payment.due,
+        paid: payment.paid,
+        group: isGroupClass(c),
+        ...(c.cancelled ? { lateCancelFee: c.cancelFeePercent } : {})
       });
-    }
-  }
+    });
+  return lines.sort((a, b) => (a.date + a.start).localeCompare(b.date + b.start));
+}
 
-  return slots.slice(0, 4); // Return max 4 suggestions
+// Discount in rupees - a percentage or a fixed amount, never more than the subtotal
+function calculateInvoiceDiscount(subtotal, discount) {
+  if (!discount || !discount.value) return 0;
+  const amount = discount.type === 'percent' ? Math.round(subtotal * discount.value / 100) : discount.value;
+  return Math.min(Math.max(amount, 0), subtotal);
 }
 
-// Student Dropdown Functions
-function updateStudentDropdowns() {
-  const students = [...new Set(classes.map(c => c.student))].sort();
+// Totals of invoice lines - part payments already made are taken off after the discount
+function calculateInvoiceTotals(lines, discount) {
+  const subtotal = lines.reduce((sum, line) => sum + line.amount, 0);
+  const discountAmount = calculateInvoiceDiscount(subtotal, discount);
+  const paidAmount = lines.reduce((sum, line) => sum + (line.paid || 0), 0);
+  return { subtotal, discountAmount, paidAmount, total: Math.max(subtotal - discountAmount - paidAmount, 0) };
+}
 
-  // Update main student view dropdown
-  studentSelect.innerHTML = '<option value="">-- Choose Student --</option>';
-  students.forEach(student => {
-    const option = document.createElement("option");
-    option.value = student;
-    option.textContent = student;
-    studentSelect.appendChild(option);
+// Read the discount fields of the invoice dialog
+function getInvoiceDiscountFromDialog() {
+  const type = document.getElementById('invoiceDiscountType').value;
+  const value = parseFloat(document.getElementById('invoiceDiscountValue').value);
+  if (!type || isNaN(value) || value <= 0) return null;
+  return { type, value };
+}
+
+function showInvoiceDialog(studentName) {
+  const profile = findStudentByName(studentName);
+  if (!profile) return;
+
+  // Default to the period shown in the report
+  const { startDate, endDate } = getReportDateRange();
+  const settings = getInvoiceSettings();
+  const previous = invoices
+    .filter(invoice => invoice.studentId === profile.id)
+    .sort((a, b) => b.seq - a.seq);
+
+  const dialogHtml = `
+    <div class="invoice-dialog-content">
+      <h3>Invoice - ${escapeHtml(profile.name)}</h3>
+      <p class="dialog-subtitle">Next number: ${formatInvoiceNumber(getNextInvoiceSeq())}</p>
+      <div class="form-row">
+        <div class="form-group">
+          <label for="invoiceFrom">From</label>
+          <input type="date" id="invoiceFrom" value="${formatDateToYYYYMMDD(startDate)}" />
+        </div>
+        <div class="form-group">
+          <label for="invoiceTo">To</label>
+          <input type="date" id="invoiceTo" value="${formatDateToYYYYMMDD(endDate)}" />
+        </div>
+      </div>
+      <div class="form-row">
+        <div class="form-group">
+          <label for="invoiceDiscountType">Discount</label>
+          <select id="invoiceDiscountType">
+            <option value="">No discount</option>
+            <option value="percent">Percent (%)</option>
+            <option value="amount">Amount (₹)</option>
+          </select>
+        </div>
+        <div class="form-group">
+          <label for="invoiceDiscountValue">Discount Value</label>
+          <input type="number" id="invoiceDiscountValue" min="0" step="1" disabled />
+        </div>
+      </div>
+      <p class="invoice-summary" id="invoiceSummary"></p>
+      <div class="form-group">
+        <label for="invoiceNote">Note</label>
+        <textarea id="invoiceNote" rows="2" placeholder="e.g. Sibling discount"></textarea>
+      </div>
+      <details class="invoice-business">
+        <summary>Your details on the invoice</summary>
+        <div class="form-group">
+          <label for="invoiceBusinessName">Name</label>
+          <input type="text" id="invoiceBusinessName" value="${escapeHtml(settings.businessName)}" autocomplete="off" />
+        </div>
+        <div class="form-group">
+          <label for="invoiceBusinessDetails">Address / Contact</label>
+          <textarea id="invoiceBusinessDetails" rows="2">${escapeHtml(settings.businessDetails)}</textarea>
+        </div>
+        <div class="form-group">
+          <label for="invoicePaymentDetails">Payment Details</label>
+          <textarea id="invoicePaymentDetails" rows="2" placeholder="e.g. UPI ID, bank account">${escapeHtml(settings.paymentDetails)}</textarea>
+        </div>
+      </details>
+      ${previous.length > 0 ? `
+        <h4 class="invoice-history-title">Previous Invoices</h4>
+        <div class="invoice-history">
+          ${previous.map(invoice => `
+            <button class="invoice-history-item" data-invoice-id="${invoice.id}">
+              <span>${escapeHtml(invoice.number)} · ${formatDateShort(new Date(invoice.from + 'T12:00:00'))} - ${formatDateShort(new Date(invoice.to + 'T12:00:00'))}</span>
+              <strong>₹${invoice.total.toLocaleString()}</strong>
+            </button>
+          `).join('')}
+        </div>
+      ` : ''}
+      <div class="dialog-actions">
+        <button class="btn btn-secondary" id="cancelInvoiceBtn">Cancel</button>
+        <button class="btn btn-primary" id="createInvoiceBtn">Create Invoice</button>
+      </div>
+    </div>
+  `;
+
+  const dialog = document.createElement('div');
+  dialog.id = 'invoiceDialog';
+  dialog.className = 'modal';
+  dialog.innerHTML = `<div class="modal-content">${dialogHtml}</div>`;
+  dialog.addEventListener('click', (e) => {
+    if (e.target === dialog) closeInvoiceDialog();
   });
+  document.body.appendChild(dialog);
 
-  // Update form's existing student dropdown
-  existingStudentSelect.innerHTML = '<option value="">-- Select Existing --</option>';
-  students.forEach(student => {
-    const option = document.createElement("option");
-    option.value = student;
-    option.textContent = student;
-    existingStudentSelect.appendChild(option);
+  // Live total for the chosen period and discount
+  const updateSummary = () => {
+    const from = document.getElementById('invoiceFrom').value;
+    const to = document.getElementById('invoiceTo').value;
+    const summary = document.getElementById('invoiceSummary');
+    if (!from || !to || from > to) {
+      summary.textContent = 'Choose a valid date range';
+      return;
+    }
+    const lines = getInvoiceLines(profile.name, from, to);
+    const { subtotal, discountAmount, paidAmount, total } = calculateInvoiceTotals(lines, getInvoiceDiscountFromDialog());
+    summary.textContent = lines.length === 0
+      ? 'No unpaid classes in this period'
+      : `${lines.length} class${lines.length > 1 ? 'es' : ''} · ₹${subtotal.toLocaleString()}` +
+        (discountAmount > 0 ? ` - ₹${discountAmount.toLocaleString()} discount` : '') +
+        (paidAmount > 0 ? ` - ₹${paidAmount.toLocaleString()} paid` : '') +
+        (total !== subtotal ? ` = ₹${total.toLocaleString()}` : '');
+  };
+
+  document.getElementById('invoiceDiscountType').addEventListener('change', (e) => {
+    const valueInput = document.getElementById('invoiceDiscountValue');
+    valueInput.disabled = !e.target.value;
+    if (!e.target.value) valueInput.value = '';
+    updateSummary();
+  });
+  ['invoiceFrom', 'invoiceTo', 'invoiceDiscountValue'].forEach(id => {
+    document.getElementById(id).addEventListener('input', updateSummary);
+  });
+  dialog.querySelectorAll('.invoice-history-item').forEach(btn => {
+    btn.addEventListener('click', () => {
+      const invoice = invoices.find(inv => inv.id === btn.dataset.invoiceId);
+      if (invoice) openInvoicePrint(invoice);
+    });
   });
+  document.getElementById('cancelInvoiceBtn').addEventListener('click', closeInvoiceDialog);
+  document.getElementById('createInvoiceBtn').addEventListener('click', () => createInvoiceFromDialog(profile));
+  updateSummary();
 }
 
-function renderStudentSchedule() {
-  const selectedStudent = studentSelect.value;
+function closeInvoiceDialog() {
+  const dialog = document.getElementById('invoiceDialog');
+  if (dialog) dialog.remove();
+}
 
-  if (!selectedStudent) {
-    studentSchedule.innerHTML = '<p class="empty-state">Select a student to view their weekly schedule</p>';
+function createInvoiceFromDialog(profile) {
+  const from = document.getElementById('invoiceFrom').value;
+  const to = document.getElementById('invoiceTo').value;
+  if (!from || !to || from > to) {
+    alert("Please choose a valid date range");
     return;
   }
 
-  const studentClasses = classes
-    .filter(c => c.student === selectedStudent)
-    .sort((a, b) => {
-      const dayDiff = DAYS.indexOf(a.day) - DAYS.indexOf(b.day);
-      if (dayDiff !== 0) return dayDiff;
-      return a.start.localeCompare(b.start);
-    });
-
-  if (studentClasses.length === 0) {
-    studentSchedule.innerHTML = '<p class="empty-state">No classes scheduled for this student</p>';
+  const lines = getInvoiceLines(profile.name, from, to);
+  if (lines.length === 0) {
+    alert(`No unpaid classes for ${profile.name} in this period`);
     return;
   }
 
-  // Group by day
-  const groupedByDay = {};
-  DAYS.forEach(day => {
-    const dayClasses = studentClasses.filter(c => c.day === day);
-    if (dayClasses.length > 0) {
-      groupedByDay[day] = dayClasses;
-    }
-  });
+  const discount = getInvoiceDiscountFromDialog();
+  if (discount && discount.type === 'percent' && discount.value > 100) {
+    alert("Discount can't be more than 100%");
+    return;
+  }
 
-  let html = '';
-  for (const day of DAYS) {
-    if (groupedByDay[day]) {
-      html += `
-        <div class="student-day">
-          <div class="student-day-header">${day}</div>
-          ${groupedByDay[day].map(c => `
-            <div class="student-class">
-              <span class="student-class-time">${formatTime(c.start)} - ${formatTime(c.end)}</span>
-              <span class="student-class-duration">${getDuration(c.start, c.end)}</span>
-            </div>
-          `).join("")}
-        </div>
-      `;
+  // Remember the business details for next time
+  invoiceSettings = {
+    ...invoiceSettings,
+    businessName: document.getElementById('invoiceBusinessName').value.trim(),
+    businessDetails: document.getElementById('invoiceBusinessDetails').value.trim(),
+    paymentDetails: document.getElementById('invoicePaymentDetails').value.trim()
+  };
+  appStorage.set('invoiceSettings', invoiceSettings);
+
+  const { subtotal, discountAmount, paidAmount, total } = calculateInvoiceTotals(lines, discount);
+  const seq = getNextInvoiceSeq();
+  const invoice = {
+    id: generateId('invoice'),
+    seq,
+    number: formatInvoiceNumber(seq),
+    studentId: profile.id,
+    student: profile.name,
+    parentName: profile.parentName,
+    from,
+    to,
+    lines,
+    subtotal,
+    discount,
+    discountAmount,
+    paidAmount,
+    total,
+    note: document.getElementById('invoiceNote').value.trim(),
+    issuedAt: new Date().toISOString()
+  };
+  invoices.push(invoice);
+  saveInvoices();
+
+  closeInvoiceDialog();
+  openInvoicePrint(invoice);
+  showToast(`Invoice ${invoice.number} created`);
+}
+
+// Build a standalone, print-ready page for an invoice
+function buildInvoiceHtml(invoice) {
+  const settings = getInvoiceSettings();
+  const formatLineDate = (dateStr) => new Date(dateStr + 'T12:00:00')
+    .toLocaleDateString('en-IN', { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric' });
+  const multiline = (text) => escapeHtml(text).replace(/\n/g, '<br>');
+  const totalMinutes = invoice.lines.reduce((sum, line) => sum + line.minutes, 0);
+  const discountLabel = invoice.discount && invoice.discount.type === 'percent' ? `Discount (${invoice.discount.value}%)` : 'Discount';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8" />
+  <title>${escapeHtml(invoice.number)} - ${escapeHtml(invoice.student)}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #1f2937; margin: 0; padding: 32px; }
+    .invoice { max-width: 760px; margin: 0 auto; }
+    .invoice-header { display: flex; justify-content: space-between; gap: 24px; border-bottom: 3px solid #3d8fc4; padding-bottom: 16px; }
+    h1 { margin: 0; color: #3d8fc4; font-size: 28px; }
+    .muted { color: #6b7280; font-size: 14px; line-height: 1.5; }
+    .meta { text-align: right; }
+    .meta strong { font-size: 18px; }
+    .bill-to { margin: 24px 0; }
+    table { width: 100%; border-collapse: collapse; font-size: 14px; }
+    th { text-align: left; background: #f3f4f6; padding: 8px; border-bottom: 1px solid #e5e7eb; }
+    td { padding: 8px; border-bottom: 1px solid #e5e7eb; }
+    .num { text-align: right; }
+    .totals td { border-bottom: none; }
+    .grand-total td { font-size: 18px; font-weight: 700; border-top: 2px solid #1f2937; }
+    .notes { margin-top: 24px; font-size: 14px; }
+    .print-bar { text-align: center; margin-bottom: 24px; }
+    .print-bar button { background: #3d8fc4; color: white; border: none; padding: 10px 24px; border-radius: 8px; font-size: 15px; cursor: pointer; }
+    @media print {
+      body { padding: 0; }
+      .print-bar { display: none; }
     }
+  </style>
+</head>
+<body>
+  <div class="print-bar">
+    <button id="printInvoiceBtn">Print / Save as PDF</button>
+  </div>
+  <div class="invoice">
+    <div class="invoice-header">
+      <div>
+        <h1>${escapeHtml(settings.businessName || 'Invoice')}</h1>
+        ${settings.businessDetails ? `<div class="muted">${multiline(settings.businessDetails)}</div>` : ''}
+      </div>
+      <div class="meta">
+        <strong>INVOICE</strong>
+        <div class="muted">${escapeHtml(invoice.number)}</div>
+        <div class="muted">Date: ${formatLineDate(formatDateToYYYYMMDD(new Date(invoice.issuedAt)))}</div>
+      </div>
+    </div>
+    <div class="bill-to">
+      <div class="muted">Bill to</div>
+      <strong>${escapeHtml(invoice.parentName || invoice.student)}</strong>
+      ${invoice.parentName ? `<div class="muted">For ${escapeHtml(invoice.student)}</div>` : ''}
+      <div class="muted">Classes from ${formatLineDate(invoice.from)} to ${formatLineDate(invoice.to)}</div>
+    </div>
+    <table>
+      <thead>
+        <tr><th>Date</th><th>Time</th><th class="num">Duration</th><th class="num">Rate (₹/hr)</th><th class="num">Amount (₹)</th></tr>
+      </thead>
+      <tbody>
+        ${invoice.lines.map(line => `
+          <tr>
+            <td>${formatLineDate(line.date)}${line.group ? ' (group)' : ''}${line.lateCancelFee ? `<br><span class="muted">Late cancellation - ${line.lateCancelFee}% fee</span>` : ''}</td>
+            <td>${formatTime(line.start)} - ${formatTime(line.end)}</td>
+            <td class="num">${getDuration(line.start, line.end)}</td>
+            <td class="num">${line.rate.toLocaleString()}</td>
+            <td class="num">${line.amount.toLocaleString()}</td>
+          </tr>
+        `).join('')}
+      </tbody>
+      <tfoot>
+        <tr class="totals"><td colspan="4" class="num">Subtotal (${invoice.lines.length} classes, ${(totalMinutes / 60).toFixed(1)} hrs)</td><td class="num">${invoice.subtotal.toLocaleString()}</td></tr>
+        ${invoice.discountAmount > 0 ? `<tr class="totals"><td colspan="4" class="num">${discountLabel}</td><td class="num">-${invoice.discountAmount.toLocaleString()}</td></tr>` : ''}
+        ${invoice.paidAmount > 0 ? `<tr class="totals"><td colspan="4" class="num">Already paid</td><td class="num">-${invoice.paidAmount.toLocaleString()}</td></tr>` : ''}
+        <tr class="grand-total"><td colspan="4" class="num">Total Due</td><td class="num">₹${invoice.total.toLocaleString()}</td></tr>
+      </tfoot>
+    </table>
+    ${invoice.note ? `<div class="notes"><strong>Note:</strong> ${multiline(invoice.note)}</div>` : ''}
+    ${settings.paymentDetails ? `<div class="notes"><strong>Payment details:</strong><br>${multiline(settings.paymentDetails)}</div>` : ''}
+    <p class="notes muted">Thank you!</p>
+  </div>
+</body>
+</html>`;
+}
+
+// Open an invoice in a new tab, ready to print or save as PDF from the browser
+function openInvoicePrint(invoice) {
+  const blob = new Blob([buildInvoiceHtml(invoice)], { type: 'text/html' });
+  const url = URL.createObjectURL(blob);
+  const invoiceWindow = window.open(url, '_blank');
+  if (!invoiceWindow) {
+    URL.revokeObjectURL(url);
+    alert("Please allow pop-ups to open the invoice");
+    return;
   }
 
-  studentSchedule.innerHTML = html;
+  // The page has no scripts of its own - hook up its print button from here
+  invoiceWindow.addEventListener('load', () => {
+    const printBtn = invoiceWindow.document.getElementById('printInvoiceBtn');
+    if (printBtn) printBtn.addEventListener('click', () => invoiceWindow.print());
+    URL.revokeObjectURL(url);
+  });
 }
 
 // Utility Functions
 function saveClasses() {
-  localStorage.setItem("classes", JSON.stringify(classes));
-  // Clear selection to prevent stale indices after class modifications
-  selectedClasses.clear();
+  appStorage.set('classes', classes);
+}
+
+// Stored classes are referred to by ID everywhere (cards, selection, payments) - never by position
+function addClass(cls) {
+  cls.id = generateId('class');
+  classes.push(cls);
+  return cls;
+}
+
+function getClassById(classId) {
+  return classes.find(cls => cls.id === classId) || null;
+}
+
+// Put an edited copy of a class in its place, keeping its ID
+function replaceClass(classId, cls) {
+  const index = classes.findIndex(c => c.id === classId);
+  if (index !== -1) classes[index] = { ...cls, id: classId };
+}
+
+function removeClasses(classIds) {
+  classes = classes.filter(cls => !classIds.includes(cls.id));
 }
 
 function formatTime(time24) {
@@ -2047,10 +5903,11 @@ function getDuration(start, end) {
   return `${hours} hr ${mins} min`;
 }
 
+// Also escapes quotes, so the result is safe inside attribute values (e.g. href="...")
 function escapeHtml(text) {
   const div = document.createElement("div");
   div.textContent = text;
-  return div.innerHTML;
+  return div.innerHTML.replace(/"/g, "&quot;").replace(/'/g, "&#39;");
 }
 
 // Check if a class is completed based on its date and time
@@ -2182,16 +6039,100 @@ function getClassesInRange(startDate, endDate) {
   const startStr = formatDateToYYYYMMDD(startDate);
   const endStr = formatDateToYYYYMMDD(endDate);
 
-  return classes.filter(cls => {
+  const storedClasses = getAllClasses().filter(cls => {
     if (!cls.date) return false;
     return cls.date >= startStr && cls.date <= endStr;
   });
+
+  return [...storedClasses, ...getSeriesOccurrences(startStr, endStr)];
 }
 
-// Generate unique ID for a class for payment tracking
-function getClassPaymentId(cls) {
-  // Create unique ID based on student, date, and time
-  return `${cls.student}_${cls.date}_${cls.start}_${cls.end}`;
+// Payment ID for one student's place in a class (group classes have one per student, so each
+// pays separately). Made of IDs, so editing the class time or renaming the student keeps it.
+function getClassPaymentId(cls, member = cls) {
+  return `${getClassKey(cls)}_${member.studentId || member.student}`;
+}
+
+// Stable key for a class - its ID, or the series ID and date for a series occurrence
+function getClassKey(cls) {
+  return cls.seriesId ? `${cls.seriesId}_${cls.occurrenceDate}` : cls.id;
+}
+
+// Per-student totals for the report table (and its CSV export), keyed by student name.
+// Each student in a group class is counted (and charged at their own rate) separately.
+function getReportStudentStats(classesInRange, paymentLookup = createPaymentLookup()) {
+  const studentStats = {};
+  // Add what a student owes for a class (or late cancellation) and what they have paid towards it
+  const addCharge = (stats, payment, minutes) => {
+    stats.charged++;
+    stats.completedAmount += payment.due;
+    stats.paidAmount += payment.paid;
+    if (payment.prepaid) stats.prepaidClasses++;
+    // Check if this charge is paid in full
+    if (payment.isPaid) {
+      stats.paidClasses++;
+      stats.paidMinutes += minutes;
+    } else {
+      stats.completedClassIds.push(payment.paymentId);
+      if (payment.paid > 0) stats.partlyPaidClasses++;
+    }
+  };
+  classesInRange.forEach(c => {
+    getClassMembers(c).forEach(member => {
+      if (!studentStats[member.student]) {
+        studentStats[member.student] = {
+          total: 0,
+          cancelled: 0,
+          pending: 0,
+          completed: 0,
+          charged: 0, // Completed classes plus late cancellation fees due
+          lateFees: 0,
+          unpaidLateFees: 0,
+          lateFeeAmount: 0,
+          upcoming: 0,
+          completedMinutes: 0,
+          upcomingMinutes: 0,
+          paidClasses: 0,
+          paidMinutes: 0,
+          completedAmount: 0,
+          paidAmount: 0,
+          prepaidClasses: 0,
+          partlyPaidClasses: 0,
+          studentId: member.studentId,
+          completedClassIds: [] // Track individual completed class IDs still owing
+        };
+      }
+      const stats = studentStats[member.student];
+      stats.total++;
+      if (c.cancelled) {
+        stats.cancelled++;
+        // A late cancellation fee is charged like a class, without the hours
+        if (isChargeableClass(c)) {
+          const payment = paymentLookup.getClassPayment(c, member);
+          stats.lateFees++;
+          stats.lateFeeAmount += payment.due;
+          if (!payment.isPaid) stats.unpaidLateFees++;
+          addCharge(stats, payment, 0);
+        }
+      } else if (c.pendingConfirmation) {
+        stats.pending++;
+      } else {
+        // Check if class is completed or upcoming
+        const minutes = getMinutesBetween(c.start, c.end);
+        if (isClassCompleted(c)) {
+          const payment = paymentLookup.getClassPayment(c, member);
+          stats.completed++;
+          stats.completedMinutes += minutes;
+          addCharge(stats, payment, minutes);
+        } else {
+          stats.upcoming++;
+          stats.upcomingMinutes += minutes;
+        }
+      }
+    });
+  });
+
+  return studentStats;
 }
 
 function renderReport() {
@@ -2234,48 +6175,9 @@ function renderReport() {
   document.getElementById("cancelledClasses").textContent = cancelledCount;
   document.getElementById("totalHours").textContent = totalHours;
 
-  // Calculate per-student stats with individual class tracking
-  const studentStats = {};
-  classesInRange.forEach(c => {
-    if (!studentStats[c.student]) {
-      studentStats[c.student] = {
-        total: 0,
-        cancelled: 0,
-        pending: 0,
-        completed: 0,
-        upcoming: 0,
-        completedMinutes: 0,
-        upcomingMinutes: 0,
-        paidClasses: 0,
-        paidMinutes: 0,
-        completedClassIds: [] // Track individual completed class IDs
-      };
-    }
-    studentStats[c.student].total++;
-    if (c.cancelled) {
-      studentStats[c.student].cancelled++;
-    } else if (c.pendingConfirmation) {
-      studentStats[c.student].pending++;
-    } else {
-      // Check if class is completed or upcoming
-      const minutes = getMinutesBetween(c.start, c.end);
-      if (isClassCompleted(c)) {
-        studentStats[c.student].completed++;
-        studentStats[c.student].completedMinutes += minutes;
-        // Generate unique class ID for payment tracking
-        const classId = getClassPaymentId(c);
-        studentStats[c.student].completedClassIds.push(classId);
-        // Check if this class is paid
-        if (paymentStatus[classId]) {
-          studentStats[c.student].paidClasses++;
-          studentStats[c.student].paidMinutes += minutes;
-        }
-      } else {
-        studentStats[c.student].upcoming++;
-        studentStats[c.student].upcomingMinutes += minutes;
-      }
-    }
-  });
+  // Per-student stats, with paid amounts from the payment ledger, prepaid packages and classes marked paid
+  const paymentLookup = createPaymentLookup();
+  const studentStats = getReportStudentStats(classesInRange, paymentLookup);
 
   // Render table
   const tbody = document.getElementById("studentReportBody");
@@ -2292,21 +6194,24 @@ function renderReport() {
       const completedClasses = stats.completed;
       const upcomingClasses = stats.upcoming;
       const paidClasses = stats.paidClasses;
-      const unpaidClasses = completedClasses - paidClasses;
+      const chargedClasses = stats.charged;
+      const unpaidClasses = chargedClasses - paidClasses - stats.unpaidLateFees;
       const completedHours = (stats.completedMinutes / 60).toFixed(1);
-      const rate = studentRates[student] || defaultRate;
+      // Rate in force at the end of the period (earlier classes may have used an older rate)
+      const rate = getStudentRateOn(student, formatDateToYYYYMMDD(endDate));
+      const history = rateHistory[student];
       // Only calculate amount for completed classes
-      const amount = Math.round((stats.completedMinutes / 60) * rate);
-      const paidAmountForStudent = Math.round((stats.paidMinutes / 60) * rate);
+      const amount = Math.round(stats.completedAmount);
+      const paidAmountForStudent = Math.round(stats.paidAmount);
       const unpaidAmount = amount - paidAmountForStudent;
       totalAmount += amount;
       paidAmount += paidAmountForStudent;
 
       // All classes paid?
-      const allPaid = completedClasses > 0 && paidClasses === completedClasses;
+      const allPaid = chargedClasses > 0 && paidClasses === chargedClasses;
 
-      // Determine row class based on completed vs upcoming
-      const hasCompletedClasses = completedClasses > 0;
+      // Determine row class based on completed vs upcoming (a late cancellation fee counts as completed)
+      const hasCompletedClasses = chargedClasses > 0;
       const hasUpcomingClasses = upcomingClasses > 0;
       const hasPendingClasses = stats.pending > 0;
 
@@ -2329,23 +6234,42 @@ function renderReport() {
       if (hasUpcomingClasses) badges.push(`${upcomingClasses} upcoming`);
       if (hasPendingClasses) badges.push(`${stats.pending} awaiting`);
 
+      // Prepaid credits left (warning when nearly used up) and advance paid
+      const usage = paymentLookup.getPackageUsage(stats.studentId);
+      const creditsBadge = usage.packages.length > 0
+        ? `<span class="package-credits ${usage.remaining <= PACKAGE_LOW_CREDITS ? 'low' : ''}">${describePackageCredits(usage)}</span>`
+        : '';
+      const advance = paymentLookup.getLedger(stats.studentId).credit;
+      const advanceBadge = advance > 0 ? `<span class="advance-credit">₹${advance.toLocaleString()} advance</span>` : '';
+
+      // When the last payment reminder went out, and whether another is due
+      const lastReminder = getLastReminder(stats.studentId);
+      // The all-time oldest unpaid class is only looked up for students still owing, with the rule on
+      const reminderDue = unpaidAmount > 0 && scheduleSettings.reminderAfterDays > 0 &&
+        isPaymentReminderDue(stats.studentId, getOldestUnpaidDate(stats.studentId, paymentLookup));
+      const reminderNote = lastReminder || reminderDue ? `
+        <span class="last-reminded ${reminderDue ? 'due' : ''}" title="${escapeHtml(describeReminderHistory(stats.studentId))}">
+          ${lastReminder ? `last reminded ${describeDaysAgo(lastReminder.date)}` : 'never reminded'}${reminderDue ? ' · reminder due' : ''}
+        </span>
+      ` : '';
+
       // Payment status display
       let paymentDisplay = '';
       if (hasCompletedClasses) {
         if (allPaid) {
-          paymentDisplay = `<span class="payment-status paid">✓ All Paid (${paidClasses})</span>`;
-        } else if (paidClasses > 0) {
+          paymentDisplay = `<span class="payment-status paid">✓ All Paid (${stats.prepaidClasses > 0 ? `${stats.prepaidClasses} prepaid` : paidClasses})</span>`;
+        } else if (paidClasses > 0 || stats.partlyPaidClasses > 0) {
           paymentDisplay = `
-            <span class="payment-status partial">${paidClasses}/${completedClasses} Paid</span>
-            <button class="mark-paid-btn" data-student="${escapeHtml(student)}" data-class-ids="${stats.completedClassIds.join(',')}" title="Mark classes as paid">
-              Mark Paid
+            <span class="payment-status partial">${paidClasses}/${chargedClasses} Paid${stats.partlyPaidClasses > 0 ? ` (+${stats.partlyPaidClasses} part)` : ''}</span>
+            <button class="mark-paid-btn" data-student="${escapeHtml(student)}" data-class-ids="${escapeHtml(stats.completedClassIds.join(','))}" title="Record a payment">
+              Record Payment
             </button>
           `;
         } else {
           paymentDisplay = `
-            <span class="payment-status unpaid">${completedClasses} Unpaid</span>
-            <button class="mark-paid-btn" data-student="${escapeHtml(student)}" data-class-ids="${stats.completedClassIds.join(',')}" title="Mark classes as paid">
-              Mark Paid
+            <span class="payment-status unpaid">${chargedClasses} Unpaid</span>
+            <button class="mark-paid-btn" data-student="${escapeHtml(student)}" data-class-ids="${escapeHtml(stats.completedClassIds.join(','))}" title="Record a payment">
+              Record Payment
             </button>
           `;
         }
@@ -2356,24 +6280,33 @@ function renderReport() {
           <td>
             <strong>${escapeHtml(student)}</strong>
             ${badges.length > 0 ? `<span class="student-pending-badge">${badges.join(', ')}</span>` : ''}
+            ${creditsBadge}
+            ${advanceBadge}
+            ${stats.studentId ? `<button class="package-btn" data-student-id="${stats.studentId}" title="Prepaid classes">🎟</button>` : ''}
           </td>
           <td>${completedClasses}${(hasUpcomingClasses || hasPendingClasses) ? ` <span class="pending-count">(+${upcomingClasses + stats.pending})</span>` : ''}</td>
-          <td class="cancelled-count">${stats.cancelled > 0 ? stats.cancelled : '-'}</td>
+          <td class="cancelled-count">
+            ${stats.cancelled > 0 ? stats.cancelled : '-'}
+            ${stats.lateFees > 0 ? `<span class="late-fee" title="Late cancellation fees">₹${Math.round(stats.lateFeeAmount).toLocaleString()} fee</span>` : ''}
+          </td>
           <td>${completedHours}</td>
           <td>
             <input type="number" class="student-rate-input"
                    data-student="${escapeHtml(student)}"
                    value="${rate}"
-                   min="0" step="50" />
+                   min="0" step="50"
+                   ${history && history.length > 1 ? `title="${escapeHtml(describeRateHistory(history))}"` : ''} />
           </td>
           <td class="amount">${hasCompletedClasses ? `₹${amount.toLocaleString()}${unpaidAmount > 0 ? ` <span class="unpaid-amount">(₹${unpaidAmount.toLocaleString()} unpaid)</span>` : ''}` : '-'}</td>
           <td class="payment-cell">
             ${hasCompletedClasses ? `
               ${paymentDisplay}
+              <button class="invoice-btn" data-student="${escapeHtml(student)}" title="Create invoice">🧾</button>
               ${unpaidAmount > 0 ? `
-                <button class="reminder-btn" data-student="${escapeHtml(student)}" data-amount="${unpaidAmount}" data-classes="${unpaidClasses}" data-hours="${(stats.completedMinutes - stats.paidMinutes) / 60}" title="Send payment reminder">
+                <button class="reminder-btn ${reminderDue ? 'due' : ''}" data-student="${escapeHtml(student)}" data-amount="${unpaidAmount}" data-classes="${unpaidClasses}" data-late-fees="${stats.unpaidLateFees}" data-hours="${(stats.completedMinutes - stats.paidMinutes) / 60}" title="Send payment reminder">
                   📩
                 </button>
+                ${reminderNote}
               ` : ''}
             ` : hasPendingClasses ? `
               <span class="awaiting-confirm-label">Awaiting confirmation</span>
@@ -2405,32 +6338,47 @@ function renderReport() {
           showToast('Rate capped at maximum value');
         }
 
-        studentRates[student] = newRate;
-        localStorage.setItem('studentRates', JSON.stringify(studentRates));
+        const fromDate = askRateEffectiveDate(formatDateToYYYYMMDD(startDate));
+        if (fromDate === null) {
+          renderReport(); // Put the old rate back in the input
+          return;
+        }
+
+        setStudentRate(student, newRate, fromDate);
         renderReport();
       });
     });
 
+    // Add event listeners to prepaid package buttons
+    tbody.querySelectorAll('.package-btn').forEach(btn => {
+      btn.addEventListener('click', () => showPackageDialog(btn.dataset.studentId));
+    });
+
     // Add event listeners to "Mark Paid" buttons
     tbody.querySelectorAll('.mark-paid-btn').forEach(btn => {
       btn.addEventListener('click', (e) => {
         const student = e.target.dataset.student;
-        const classIds = e.target.dataset.classIds.split(',');
+        const classIds = e.target.dataset.classIds.split(',').filter(Boolean);
         showMarkPaidDialog(student, classIds);
       });
     });
 
+    // Add event listeners to invoice buttons
+    tbody.querySelectorAll('.invoice-btn').forEach(btn => {
+      btn.addEventListener('click', () => showInvoiceDialog(btn.dataset.student));
+    });
+
     // Add event listeners to reminder buttons
     tbody.querySelectorAll('.reminder-btn').forEach(btn => {
       btn.addEventListener('click', (e) => {
         const student = e.target.dataset.student;
         const amount = e.target.dataset.amount;
         const classCount = e.target.dataset.classes;
+        const lateFeeCount = parseInt(e.target.dataset.lateFees) || 0;
         const hours = e.target.dataset.hours;
-        // Get the days this student has classes
-        const studentClasses = classes.filter(c => c.student === student && !c.cancelled);
-        const days = [...new Set(studentClasses.map(c => c.day))];
-        sendPaymentReminder(student, amount, label, classCount, hours, days);
+        if (sendPaymentReminder(student, amount, label, classCount, hours, getStudentClassDays(student), lateFeeCount)) {
+          renderReport();
+        }
       });
     });
   }
@@ -2465,9 +6413,12 @@ function renderEarningsChart(classesInRange, _studentStats, isClassCompleted) {
     dayEarnings[day] = { paid: 0, completed: 0, upcoming: 0 };
   });
 
+  // Paid amounts come from the payment ledger, prepaid packages and classes marked paid
+  const paymentLookup = createPaymentLookup();
+
   // Calculate earnings for each class by the day of its actual date (not day name)
   classesInRange.forEach(cls => {
-    if (cls.cancelled) return;
+    if (cls.cancelled && !hasCancellationFee(cls)) return;
 
     // Use the actual date to determine the day, not cls.day
     // This ensures classes show on the correct day within the week
@@ -2479,23 +6430,16 @@ function renderEarningsChart(classesInRange, _studentStats, isClassCompleted) {
       dayName = dayNames[dayIndex];
     }
 
-    const rate = studentRates[cls.student] || defaultRate;
-    const minutes = getMinutesBetween(cls.start, cls.end);
-    const amount = Math.round((minutes / 60) * rate);
-
-    if (cls.pendingConfirmation) {
-      dayEarnings[dayName].upcoming += amount;
-    } else if (isClassCompleted(cls)) {
-      // Check if this class is marked as paid (per-class tracking)
-      const classPaymentId = getClassPaymentId(cls);
-      if (paymentStatus[classPaymentId]) {
-        dayEarnings[dayName].paid += amount;
-      } else {
-        dayEarnings[dayName].completed += amount;
+    // Each student in a group class pays separately - part payments split the bar
+    getClassMembers(cls).forEach(member => {
+      if (cls.pendingConfirmation || !isClassCompleted(cls)) {
+        dayEarnings[dayName].upcoming += Math.round(getMemberAmount(cls, member));
+        return;
       }
-    } else {
-      dayEarnings[dayName].upcoming += amount;
-    }
+      const payment = paymentLookup.getClassPayment(cls, member);
+      dayEarnings[dayName].paid += payment.paid;
+      dayEarnings[dayName].completed += payment.due - payment.paid;
+    });
   });
 
   // Calculate totals for the chart header
@@ -2581,7 +6525,7 @@ function showChartDayDetails(day, paid, completed, upcoming, classesInRange, isC
   // Filter classes by their actual date's day of week (matching chart logic)
   const dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
   const dayClasses = classesInRange.filter(c => {
-    if (c.cancelled) return false;
+    if (c.cancelled && !hasCancellationFee(c)) return false;
     // Derive day from actual date (consistent with chart rendering)
     if (c.date) {
       const classDate = new Date(c.date + 'T12:00:00');
@@ -2603,10 +6547,10 @@ function showChartDayDetails(day, paid, completed, upcoming, classesInRange, isC
     </div>
     <div class="chart-details-classes">`;
 
+  const paymentLookup = createPaymentLookup();
   dayClasses.sort((a, b) => a.start.localeCompare(b.start)).forEach(cls => {
-    const rate = studentRates[cls.student] || defaultRate;
-    const minutes = getMinutesBetween(cls.start, cls.end);
-    const amount = Math.round((minutes / 60) * rate);
+    const members = getClassMembers(cls);
+    const amount = members.reduce((sum, member) => sum + Math.round(getMemberAmount(cls, member)), 0);
 
     let status = 'upcoming';
     let statusLabel = 'Upcoming';
@@ -2614,20 +6558,21 @@ function showChartDayDetails(day, paid, completed, upcoming, classesInRange, isC
       status = 'pending';
       statusLabel = 'Awaiting';
     } else if (isClassCompleted(cls)) {
-      const classPaymentId = getClassPaymentId(cls);
-      if (paymentStatus[classPaymentId]) {
+      const memberPayments = members.map(member => paymentLookup.getClassPayment(cls, member));
+      const paidTotal = memberPayments.reduce((sum, payment) => sum + payment.paid, 0);
+      if (memberPayments.every(payment => payment.isPaid)) {
         status = 'paid';
         statusLabel = 'Paid';
       } else {
         status = 'completed';
-        statusLabel = 'Unpaid';
+        statusLabel = paidTotal > 0 ? `₹${paidTotal.toLocaleString()} paid` : 'Unpaid';
       }
     }
 
     detailsHtml += `
       <div class="chart-class-item ${status}">
         <div class="chart-class-info">
-          <span class="chart-class-student">${escapeHtml(cls.student)}</span>
+          <span class="chart-class-student">${escapeHtml(getClassLabel(cls))}</span>
           <span class="chart-class-time">${formatTime(cls.start)} - ${formatTime(cls.end)}</span>
         </div>
         <div class="chart-class-amount">
@@ -2657,49 +6602,117 @@ function showChartDayDetails(day, paid, completed, upcoming, classesInRange, isC
   }
 }
 
-// Show dialog to mark individual classes as paid
+// Show dialog to record a payment and allocate it across unpaid classes.
+// Payments can be partial (the last class stays part paid) or in advance (the rest is kept as credit).
 function showMarkPaidDialog(student, classIds) {
-  // Find the actual class details for each class ID
+  const profile = findStudentByName(student);
+  if (!profile) return;
+
+  const paymentLookup = createPaymentLookup();
+  const ledger = paymentLookup.getLedger(profile.id);
+  const attended = getAttendedClasses(profile.id);
+
+  // Find the actual class details and what is still owed for each class's payment ID
   const classDetails = classIds.map(classId => {
-    const parts = classId.split('_');
-    // Format: student_date_start_end
-    const date = parts[1];
-    const start = parts[2];
-    const end = parts[3];
-    const isPaid = paymentStatus[classId] || false;
-    const rate = studentRates[student] || defaultRate;
-    const minutes = getMinutesBetween(start, end);
-    const amount = Math.round((minutes / 60) * rate);
+    const found = attended.find(entry => entry.paymentId === classId);
+    if (!found) return null;
+    const payment = paymentLookup.getClassPayment(found.cls, found.member);
+    if (payment.isPaid) return null;
+    const { date, start, end } = found.cls;
 
     // Format date nicely
     const dateObj = new Date(date + 'T00:00:00');
     const dateStr = dateObj.toLocaleDateString('en-IN', { weekday: 'short', day: 'numeric', month: 'short' });
 
-    return { classId, date, dateStr, start, end, isPaid, amount };
-  });
+    return { classId, date, dateStr, start, end, due: payment.due, paid: payment.paid, owing: payment.due - payment.paid };
+  }).filter(Boolean);
 
   // Sort by date
-  classDetails.sort((a, b) => a.date.localeCompare(b.date));
+  classDetails.sort((a, b) => (a.date + a.start).localeCompare(b.date + b.start));
+
+  const history = [...ledger.payments].sort((a, b) => (b.date + b.createdAt).localeCompare(a.date + a.createdAt));
+  // Classes ticked as paid before the ledger, with no amount recorded
+  const markedPaid = attended.filter(({ paymentId }) => paymentStatus[paymentId]).reverse();
 
   const dialogHtml = `
     <div class="mark-paid-dialog-content">
-      <h3>Mark Classes Paid - ${escapeHtml(student)}</h3>
-      <p class="dialog-subtitle">Select the classes that have been paid for:</p>
-      <div class="class-payment-list">
-        ${classDetails.map(cls => `
-          <label class="class-payment-item ${cls.isPaid ? 'paid' : ''}">
-            <input type="checkbox" class="class-paid-checkbox" data-class-id="${cls.classId}" ${cls.isPaid ? 'checked' : ''} />
-            <span class="class-info">
-              <span class="class-date">${cls.dateStr}</span>
-              <span class="class-time">${formatTime(cls.start)} - ${formatTime(cls.end)}</span>
-            </span>
-            <span class="class-amount">₹${cls.amount.toLocaleString()}</span>
-          </label>
-        `).join('')}
+      <h3>Record Payment - ${escapeHtml(student)}</h3>
+      <p class="dialog-subtitle">
+        ${classDetails.length > 0 ? 'Select the classes this payment is for:' : 'No unpaid classes - the payment will be kept as advance.'}
+        ${ledger.credit > 0 ? `<br>Advance already paid: ₹${ledger.credit.toLocaleString()}` : ''}
+      </p>
+      ${classDetails.length > 0 ? `
+        <div class="class-payment-list">
+          ${classDetails.map(cls => `
+            <label class="class-payment-item">
+              <input type="checkbox" class="class-paid-checkbox" data-class-id="${escapeHtml(cls.classId)}" data-owing="${cls.owing}" />
+              <span class="class-info">
+                <span class="class-date">${cls.dateStr}</span>
+                <span class="class-time">${formatTime(cls.start)} - ${formatTime(cls.end)}</span>
+              </span>
+              <span class="class-amount">₹${cls.owing.toLocaleString()}${cls.paid > 0 ? ` <span class="class-part-paid">of ₹${cls.due.toLocaleString()}</span>` : ''}</span>
+            </label>
+          `).join('')}
+        </div>
+      ` : ''}
+      <div class="form-row">
+        <div class="form-group">
+          <label for="paymentAmount">Amount Received (₹)</label>
+          <input type="number" id="paymentAmount" min="1" step="50" />
+        </div>
+        <div class="form-group">
+          <label for="paymentDate">Date Received</label>
+          <input type="date" id="paymentDate" value="${formatDateToYYYYMMDD(new Date())}" />
+        </div>
+      </div>
+      <div class="form-row">
+        <div class="form-group">
+          <label for="paymentMethod">Method</label>
+          <select id="paymentMethod">
+            ${Object.entries(PAYMENT_METHODS).map(([value, label]) => `<option value="${value}">${label}</option>`).join('')}
+          </select>
+        </div>
+        <div class="form-group">
+          <label for="paymentReference">Reference</label>
+          <input type="text" id="paymentReference" placeholder="e.g. UPI ref, cheque no." autocomplete="off" />
+        </div>
       </div>
+      <p class="payment-allocation-note hidden" id="paymentAllocationNote"></p>
+      ${history.length > 0 ? `
+        <h4 class="payment-history-title">Payments Received</h4>
+        <div class="payment-history">
+          ${history.map(payment => {
+            const classCount = Object.keys(payment.allocations || {}).length;
+            return `
+              <div class="payment-history-item">
+                <div class="payment-history-info">
+                  <strong>₹${payment.amount.toLocaleString()}</strong>
+                  <span>${formatDateShort(new Date(payment.date + 'T12:00:00'))} · ${PAYMENT_METHODS[payment.method] || escapeHtml(payment.method)}${payment.reference ? ` · ${escapeHtml(payment.reference)}` : ''} · ${classCount > 0 ? `${classCount} class${classCount > 1 ? 'es' : ''}` : 'advance'}</span>
+                </div>
+                <button class="payment-receipt-btn" data-payment-id="${payment.id}" title="Send receipt">🧾</button>
+                <button class="payment-delete-btn" data-payment-id="${payment.id}" title="Delete payment">&times;</button>
+              </div>
+            `;
+          }).join('')}
+        </div>
+      ` : ''}
+      ${markedPaid.length > 0 ? `
+        <h4 class="payment-history-title">Marked Paid</h4>
+        <div class="payment-history">
+          ${markedPaid.map(({ cls, paymentId }) => `
+            <div class="payment-history-item">
+              <div class="payment-history-info">
+                <strong>${new Date(cls.date + 'T00:00:00').toLocaleDateString('en-IN', { weekday: 'short', day: 'numeric', month: 'short' })}</strong>
+                <span>${formatTime(cls.start)} - ${formatTime(cls.end)} · no amount recorded</span>
+              </div>
+              <button class="payment-delete-btn payment-unmark-btn" data-payment-id="${escapeHtml(paymentId)}" title="Remove paid mark">&times;</button>
+            </div>
+          `).join('')}
+        </div>
+      ` : ''}
       <div class="dialog-actions">
-        <button class="btn btn-secondary" id="markAllPaidBtn">Mark All Paid</button>
-        <button class="btn btn-primary" id="savePaymentBtn">Save</button>
+        ${classDetails.length > 0 ? '<button class="btn btn-secondary" id="markAllPaidBtn">Select All</button>' : ''}
+        <button class="btn btn-primary" id="savePaymentBtn">Save Payment</button>
         <button class="btn btn-secondary" id="cancelPaymentBtn">Cancel</button>
       </div>
     </div>
@@ -2715,43 +6728,111 @@ function showMarkPaidDialog(student, classIds) {
   });
   document.body.appendChild(dialog);
 
-  // Event listeners
-  document.getElementById('markAllPaidBtn').addEventListener('click', () => {
+  const amountInput = document.getElementById('paymentAmount');
+  const allocationNote = document.getElementById('paymentAllocationNote');
+  let amountEdited = false;
+
+  const getSelectedOwing = () => [...dialog.querySelectorAll('.class-paid-checkbox:checked')]
+    .reduce((sum, cb) => sum + parseInt(cb.dataset.owing), 0);
+
+  // Explain what happens to an amount that doesn't match the selected classes
+  const updateAllocationNote = () => {
+    const amount = parseInt(amountInput.value) || 0;
+    const owing = getSelectedOwing();
+    let note = '';
+    if (amount > 0 && amount < owing) {
+      note = `₹${(owing - amount).toLocaleString()} will still be owed - the last class stays part paid`;
+    } else if (amount > owing) {
+      note = `₹${(amount - owing).toLocaleString()} extra will be kept as advance for the next classes`;
+    }
+    allocationNote.textContent = note;
+    allocationNote.classList.toggle('hidden', !note);
+  };
+
+  // The amount follows the selected classes until it is typed in
+  const updateSelection = () => {
     dialog.querySelectorAll('.class-paid-checkbox').forEach(cb => {
-      cb.checked = true;
-      cb.closest('.class-payment-item').classList.add('paid');
+      cb.closest('.class-payment-item').classList.toggle('paid', cb.checked);
     });
+    if (!amountEdited) amountInput.value = getSelectedOwing() || '';
+    updateAllocationNote();
+  };
+
+  dialog.querySelectorAll('.class-paid-checkbox').forEach(cb => {
+    cb.addEventListener('change', updateSelection);
+  });
+  amountInput.addEventListener('input', () => {
+    amountEdited = true;
+    updateAllocationNote();
   });
 
-  document.getElementById('savePaymentBtn').addEventListener('click', () => {
-    let newPaymentsCount = 0;
-    dialog.querySelectorAll('.class-paid-checkbox').forEach(cb => {
-      const classId = cb.dataset.classId;
-      const wasChecked = paymentStatus[classId];
-      paymentStatus[classId] = cb.checked;
-      if (cb.checked && !wasChecked) newPaymentsCount++;
+  const selectAllBtn = document.getElementById('markAllPaidBtn');
+  if (selectAllBtn) {
+    selectAllBtn.addEventListener('click', () => {
+      dialog.querySelectorAll('.class-paid-checkbox').forEach(cb => {
+        cb.checked = true;
+      });
+      updateSelection();
     });
-    localStorage.setItem('paymentStatus', JSON.stringify(paymentStatus));
-    closeMarkPaidDialog();
+  }
 
-    // Celebrate if new payments were marked
-    if (newPaymentsCount > 0) {
-      celebratePayment();
+  document.getElementById('savePaymentBtn').addEventListener('click', () => {
+    const amount = parseInt(amountInput.value);
+    const date = document.getElementById('paymentDate').value;
+    if (isNaN(amount) || amount <= 0) {
+      alert("Please enter the amount received");
+      return;
+    }
+    if (!date) {
+      alert("Please enter the date it was received");
+      return;
     }
 
-    renderReport();
+    // Allocate to the selected classes oldest first - a short payment leaves the last one part paid
+    const allocations = {};
+    let remaining = amount;
+    dialog.querySelectorAll('.class-paid-checkbox:checked').forEach(cb => {
+      const allocation = Math.min(parseInt(cb.dataset.owing), remaining);
+      if (allocation <= 0) return;
+      allocations[cb.dataset.classId] = allocation;
+      remaining -= allocation;
+    });
+
+    payments.push({
+      id: generateId('payment'),
+      studentId: profile.id,
+      amount,
+      date,
+      method: document.getElementById('paymentMethod').value,
+      reference: document.getElementById('paymentReference').value.trim(),
+      allocations,
+      createdAt: new Date().toISOString()
+    });
+    savePayments();
+    closeMarkPaidDialog();
+
+    celebratePayment();
+    refreshPaymentViews();
   });
 
   document.getElementById('cancelPaymentBtn').addEventListener('click', closeMarkPaidDialog);
 
-  // Update visual state when checkbox changes
-  dialog.querySelectorAll('.class-paid-checkbox').forEach(cb => {
-    cb.addEventListener('change', (e) => {
-      if (e.target.checked) {
-        e.target.closest('.class-payment-item').classList.add('paid');
-      } else {
-        e.target.closest('.class-payment-item').classList.remove('paid');
-      }
+  dialog.querySelectorAll('.payment-receipt-btn').forEach(btn => {
+    btn.addEventListener('click', () => sendPaymentReceipt(btn.dataset.paymentId));
+  });
+  dialog.querySelectorAll('.payment-delete-btn:not(.payment-unmark-btn)').forEach(btn => {
+    btn.addEventListener('click', () => {
+      if (!deletePayment(btn.dataset.paymentId)) return;
+      closeMarkPaidDialog();
+      showMarkPaidDialog(student, classIds);
+    });
+  });
+  // An unmarked class is offered for payment again
+  dialog.querySelectorAll('.payment-unmark-btn').forEach(btn => {
+    btn.addEventListener('click', () => {
+      if (!unmarkClassPaid(btn.dataset.paymentId)) return;
+      closeMarkPaidDialog();
+      showMarkPaidDialog(student, [...classIds, btn.dataset.paymentId]);
     });
   });
 }
@@ -2761,21 +6842,40 @@ function closeMarkPaidDialog() {
   if (dialog) dialog.remove();
 }
 
-// Send payment reminder
-function sendPaymentReminder(student, amount, period, classCount, hours, days) {
+// Weekdays a student has classes on, for payment reminders
+function getStudentClassDays(student) {
+  const studentClasses = classes.filter(c => classHasStudent(c, student) && !c.cancelled);
+  const seriesDays = classSeries.filter(series => classHasStudent(series, student)).flatMap(series => series.weekdays);
+  return DAYS.filter(day => seriesDays.includes(day) || studentClasses.some(c => c.day === day));
+}
+
+// Send payment reminder - returns false if it was cancelled before sending
+function sendPaymentReminder(student, amount, period, classCount, hours, days, lateFeeCount = 0) {
   // Format days nicely
   const daysText = days.length > 0 ? days.join(', ') : '';
+  let classesText = `${classCount} class${classCount > 1 ? 'es' : ''}`;
+  if (lateFeeCount > 0) classesText += ` + ${lateFeeCount} late cancellation${lateFeeCount > 1 ? 's' : ''}`;
+
+  const profile = findStudentByName(student);
+  const message = buildMessage('paymentReminder', {
+    student: student,
+    period: period,
+    classes: classesText,
+    hours: hours,
+    days: daysText,
+    amount: parseInt(amount).toLocaleString()
+  }, profile);
+
+  // Message the parent (or student) directly when a number is stored
+  const number = chooseWhatsAppNumber(profile, true);
+  if (number === null) return false;
+  if (number) {
+    openWhatsApp(message, number);
+    logPaymentReminder(profile, student, amount, 'whatsapp');
+    return true;
+  }
 
-  const message = `Hi! 🙏 Hope you're doing well!
-
-Just a gentle reminder about ${student}'s tuition fees:
-📅 ${period}
-📚 ${classCount} class${classCount > 1 ? 'es' : ''} (${hours} hrs) - ${daysText}
-*₹${parseInt(amount).toLocaleString()}*
-
-Let me know if you have any questions.
-`;
-
+  // No number stored - share or copy as before
   // Check if Web Share API is available (mostly on mobile)
   if (navigator.share) {
     navigator.share({
@@ -2785,25 +6885,97 @@ Let me know if you have any questions.
       // User cancelled or share failed, fallback to copy
       copyReminderToClipboard(message, student);
     });
+    logPaymentReminder(profile, student, amount, 'share');
+    return true;
   } else {
     // Fallback: offer WhatsApp or copy options
     const choice = prompt(
       `Send reminder to ${student}'s parent:\n\n` +
-      `1 - Open WhatsApp (if you have their number)\n` +
+      `1 - Open WhatsApp (pick the contact - save a number in Students to skip this)\n` +
       `2 - Copy message to clipboard\n\n` +
       `Enter 1 or 2:`
     );
 
     if (choice === '1') {
       // Open WhatsApp with pre-filled message
-      const whatsappUrl = `https://wa.me/?text=${encodeURIComponent(message)}`;
-      window.open(whatsappUrl, '_blank');
+      openWhatsApp(message, '');
+      logPaymentReminder(profile, student, amount, 'whatsapp');
+      return true;
     } else if (choice === '2') {
       copyReminderToClipboard(message, student);
+      logPaymentReminder(profile, student, amount, 'copy');
+      return true;
     }
+    return false;
   }
 }
 
+// Keep a record of each payment reminder sent
+function logPaymentReminder(profile, student, amount, channel) {
+  reminderLog.push({
+    studentId: profile ? profile.id : null,
+    student,
+    date: new Date().toISOString(),
+    amount: parseInt(amount) || 0,
+    channel
+  });
+  saveReminderLog();
+}
+
+function saveReminderLog() {
+  appStorage.set('reminderLog', reminderLog);
+}
+
+// Most recent reminder sent to a student, or null
+function getLastReminder(studentId) {
+  return reminderLog
+    .filter(entry => entry.studentId === studentId)
+    .reduce((last, entry) => (!last || entry.date > last.date ? entry : last), null);
+}
+
+// e.g. "today", "yesterday", "5 days ago"
+function describeDaysAgo(isoDate) {
+  const days = Math.round(
+    (new Date(formatDateToYYYYMMDD(new Date()) + 'T12:00:00') - new Date(formatDateToYYYYMMDD(new Date(isoDate)) + 'T12:00:00')) /
+    (1000 * 60 * 60 * 24)
+  );
+  if (days <= 0) return 'today';
+  return days === 1 ? 'yesterday' : `${days} days ago`;
+}
+
+const REMINDER_CHANNELS = {
+  whatsapp: 'WhatsApp',
+  share: 'Shared',
+  copy: 'Copied'
+};
+
+// Recent reminders for a tooltip, e.g. "Oct 14: ₹2,000 (WhatsApp) · Oct 2: ₹1,500 (Copied)"
+function describeReminderHistory(studentId) {
+  return reminderLog
+    .filter(entry => entry.studentId === studentId)
+    .sort((a, b) => b.date.localeCompare(a.date))
+    .slice(0, 5)
+    .map(entry => `${formatDateShort(new Date(entry.date))}: ₹${entry.amount.toLocaleString()} (${REMINDER_CHANNELS[entry.channel] || entry.channel})`)
+    .join(' · ');
+}
+
+// With the reminder rule on, a student with unpaid classes is due a reminder once the
+// set number of days has passed since the latest of: their last reminder, their last
+// payment and their oldest unpaid class
+function isPaymentReminderDue(studentId, oldestUnpaidDate) {
+  const afterDays = scheduleSettings.reminderAfterDays;
+  if (!afterDays || !studentId || !oldestUnpaidDate) return false;
+
+  const lastReminder = getLastReminder(studentId);
+  const lastPaymentDate = payments
+    .filter(payment => payment.studentId === studentId)
+    .reduce((latest, payment) => (payment.date > latest ? payment.date : latest), '');
+  const since = [oldestUnpaidDate, lastPaymentDate, lastReminder ? formatDateToYYYYMMDD(new Date(lastReminder.date)) : '']
+    .sort()
+    .pop();
+  return since <= addDaysToDateStr(formatDateToYYYYMMDD(new Date()), -afterDays);
+}
+
 function copyReminderToClipboard(message, student) {
   navigator.clipboard.writeText(message).then(() => {
     showToast(`Reminder copied! Paste and send to ${student}'s parent`);
@@ -2819,11 +6991,294 @@ function copyReminderToClipboard(message, student) {
   });
 }
 
+// ==================== OUTSTANDING DUES ====================
+
+// All-time unpaid amounts per student, split by how long ago the class was
+const DUES_BUCKETS = [
+  { label: '0-30 days', maxDays: 30 },
+  { label: '31-60 days', maxDays: 60 },
+  { label: '60+ days', maxDays: Infinity }
+];
+
+// Students with anything unpaid, largest amount first:
+// { student, total, buckets: [amount per DUES_BUCKETS], classes, lateFees, minutes, oldestDate, lastReminder }
+function getOutstandingDues() {
+  const todayNoon = new Date(formatDateToYYYYMMDD(new Date()) + 'T12:00:00');
+  const paymentLookup = createPaymentLookup();
+
+  return students.map(student => {
+    const dues = { student, total: 0, buckets: DUES_BUCKETS.map(() => 0), classes: 0, lateFees: 0, minutes: 0, oldestDate: null };
+    getAttendedClasses(student.id).forEach(({ cls, member }) => {
+      const payment = paymentLookup.getClassPayment(cls, member);
+      const owing = payment.due - payment.paid;
+      if (owing <= 0) return;
+
+      const age = Math.round((todayNoon - new Date(cls.date + 'T12:00:00')) / (1000 * 60 * 60 * 24));
+      dues.buckets[DUES_BUCKETS.findIndex(bucket => age <= bucket.maxDays)] += owing;
+      dues.total += owing;
+      if (cls.cancelled) {
+        dues.lateFees++;
+      } else {
+        dues.classes++;
+        dues.minutes += getMinutesBetween(cls.start, cls.end);
+      }
+      // Classes come oldest first
+      if (!dues.oldestDate) dues.oldestDate = cls.date;
+    });
+    return { ...dues, lastReminder: getLastReminder(student.id) };
+  })
+    .filter(dues => dues.total > 0)
+    .sort((a, b) => b.total - a.total);
+}
+
+// Date of a student's oldest class of all time still not fully paid, or null
+function getOldestUnpaidDate(studentId, paymentLookup = createPaymentLookup()) {
+  const unpaid = getAttendedClasses(studentId).find(({ cls, member }) => {
+    const payment = paymentLookup.getClassPayment(cls, member);
+    return payment.paid < payment.due;
+  });
+  return unpaid ? unpaid.cls.date : null;
+}
+
+function showDuesDialog() {
+  const allDues = getOutstandingDues();
+  const formatDate = (dateStr) => formatDateShort(new Date(dateStr + 'T12:00:00'));
+  const formatAmount = (amount) => amount > 0 ? `₹${amount.toLocaleString()}` : '-';
+  const totals = DUES_BUCKETS.map((_, i) => allDues.reduce((sum, dues) => sum + dues.buckets[i], 0));
+  const grandTotal = allDues.reduce((sum, dues) => sum + dues.total, 0);
+
+  const dialogHtml = `
+    <div class="dues-dialog-content">
+      <h3>Outstanding Dues</h3>
+      <p class="dialog-subtitle">${allDues.length > 0
+        ? `₹${grandTotal.toLocaleString()} unpaid by ${allDues.length} student${allDues.length > 1 ? 's' : ''}, all time`
+        : 'Nothing unpaid - all caught up!'}</p>
+      ${allDues.length > 0 ? `
+        <div class="dues-table-wrapper">
+          <table class="dues-table">
+            <thead>
+              <tr>
+                <th><input type="checkbox" id="duesSelectAll" checked title="Select all" /></th>
+                <th>Student</th>
+                <th class="num">Unpaid</th>
+                ${DUES_BUCKETS.map(bucket => `<th class="num">${bucket.label}</th>`).join('')}
+                <th>Oldest</th>
+                <th>Last Reminded</th>
+              </tr>
+            </thead>
+            <tbody>
+              ${allDues.map(dues => `
+                <tr data-student-id="${dues.student.id}">
+                  <td><input type="checkbox" class="dues-select" checked /></td>
+                  <td><strong>${escapeHtml(dues.student.name)}</strong></td>
+                  <td class="num">${formatAmount(dues.total)}</td>
+                  ${dues.buckets.map((amount, i) => `<td class="num ${i > 0 && amount > 0 ? 'dues-overdue' : ''}">${formatAmount(amount)}</td>`).join('')}
+                  <td>${formatDate(dues.oldestDate)}</td>
+                  <td class="dues-reminded" title="${escapeHtml(describeReminderHistory(dues.student.id))}">
+                    ${dues.lastReminder ? describeDaysAgo(dues.lastReminder.date) : 'Never'}
+                    ${isPaymentReminderDue(dues.student.id, dues.oldestDate) ? '<span class="reminder-due-badge">due</span>' : ''}
+                  </td>
+                </tr>
+              `).join('')}
+            </tbody>
+            <tfoot>
+              <tr>
+                <td></td>
+                <td><strong>Total</strong></td>
+                <td class="num">${formatAmount(grandTotal)}</td>
+                ${totals.map(amount => `<td class="num">${formatAmount(amount)}</td>`).join('')}
+                <td colspan="2"></td>
+              </tr>
+            </tfoot>
+          </table>
+        </div>
+        <p class="template-hint">Reminders are sent one at a time - tap again after each message for the next student.</p>
+      ` : ''}
+      <div class="dialog-actions">
+        <button class="btn btn-secondary" id="closeDuesBtn">Close</button>
+        ${allDues.length > 0 ? '<button class="btn btn-primary" id="sendDuesRemindersBtn"></button>' : ''}
+      </div>
+    </div>
+  `;
+
+  const dialog = document.createElement('div');
+  dialog.id = 'duesDialog';
+  dialog.className = 'modal';
+  dialog.innerHTML = `<div class="modal-content">${dialogHtml}</div>`;
+  dialog.addEventListener('click', (e) => {
+    if (e.target === dialog) closeDuesDialog();
+  });
+  document.body.appendChild(dialog);
+
+  document.getElementById('closeDuesBtn').addEventListener('click', closeDuesDialog);
+  if (allDues.length === 0) return;
+
+  const checkboxes = [...dialog.querySelectorAll('.dues-select')];
+  document.getElementById('duesSelectAll').addEventListener('change', (e) => {
+    checkboxes.forEach(cb => { cb.checked = e.target.checked; });
+    updateDuesReminderButton();
+  });
+  checkboxes.forEach(cb => cb.addEventListener('change', updateDuesReminderButton));
+  document.getElementById('sendDuesRemindersBtn').addEventListener('click', () => sendNextDuesReminder(allDues));
+  updateDuesReminderButton();
+}
+
+function closeDuesDialog() {
+  const dialog = document.getElementById('duesDialog');
+  if (dialog) dialog.remove();
+}
+
+function updateDuesReminderButton() {
+  const dialog = document.getElementById('duesDialog');
+  const selected = dialog.querySelectorAll('.dues-select:checked');
+  const btn = document.getElementById('sendDuesRemindersBtn');
+  btn.disabled = selected.length === 0;
+  btn.textContent = dialog.querySelector('.dues-sent') && selected.length > 0
+    ? `Send Next Reminder (${selected.length} left)`
+    : `📩 Send Reminders (${selected.length})`;
+}
+
+// Send the reminder for the first selected student, then untick them
+function sendNextDuesReminder(allDues) {
+  const row = document.querySelector('#duesDialog .dues-select:checked').closest('tr');
+  const dues = allDues.find(d => d.student.id === row.dataset.studentId);
+  const sent = sendPaymentReminder(
+    dues.student.name,
+    dues.total,
+    `Unpaid since ${formatDateShort(new Date(dues.oldestDate + 'T12:00:00'))}`,
+    dues.classes,
+    (dues.minutes / 60).toFixed(1).replace(/\.0$/, ''),
+    getStudentClassDays(dues.student.name),
+    dues.lateFees
+  );
+  if (!sent) return;
+
+  row.classList.add('dues-sent');
+  row.querySelector('.dues-select').checked = false;
+  row.querySelector('.dues-reminded').textContent = '✓ Sent now';
+  updateDuesReminderButton();
+}
+
+// ==================== CSV EXPORT ====================
+
+// Spreadsheet exports of the report period for accounting. Files start with a UTF-8 BOM
+// so Excel reads ₹ and non-English names correctly.
+
+// Quote a CSV field when it holds a comma, quote or line break. Text starting with = + - @,
+// a tab or a carriage return gets a leading ' so a spreadsheet shows it instead of running it as a formula.
+function escapeCsvField(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function buildCsv(rows) {
+  return '\uFEFF' + rows.map(row => row.map(escapeCsvField).join(',')).join('\r\n') + '\r\n';
+}
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+function downloadCsv(rows, name) {
+  const { startDate, endDate } = getReportDateRange();
+  const filename = `mindful-maths-${name}-${formatDateToYYYYMMDD(startDate)}-to-${formatDateToYYYYMMDD(endDate)}.csv`;
+  downloadBlob(new Blob([buildCsv(rows)], { type: 'text/csv;charset=utf-8' }), filename);
+  showToast(`Exported ${rows.length - 1} row${rows.length === 2 ? '' : 's'} to CSV`);
+}
+
+// Status of a class for the export, e.g. "Completed" or "Cancelled - Student Unavailable (50% fee)"
+function describeClassStatus(cls) {
+  if (cls.cancelled) {
+    const reason = cls.cancelReason === 'other' && cls.customCancelReason ? cls.customCancelReason : CANCEL_REASONS[cls.cancelReason] || 'Cancelled';
+    return `Cancelled - ${reason}${hasCancellationFee(cls) ? ` (${cls.cancelFeePercent}% fee)` : ''}`;
+  }
+  if (cls.pendingConfirmation) return 'Awaiting confirmation';
+  return isClassCompleted(cls) ? 'Completed' : 'Upcoming';
+}
+
+// One row per student per class in the report period
+function exportClassesCsv() {
+  const { startDate, endDate } = getReportDateRange();
+  const paymentLookup = createPaymentLookup();
+  const rows = [['Student', 'Date', 'Day', 'Start', 'End', 'Duration (hrs)', 'Status', 'Class Type', 'Rate (₹/hr)', 'Amount (₹)', 'Paid', 'Paid Amount (₹)']];
+
+  getClassesInRange(startDate, endDate)
+    .sort((a, b) => (a.date + a.start).localeCompare(b.date + b.start))
+    .forEach(cls => {
+      const type = getClassType(cls);
+      getClassMembers(cls).forEach(member => {
+        // Only completed classes and late cancellations are charged so far
+        const payment = isChargeableClass(cls) ? paymentLookup.getClassPayment(cls, member) : null;
+        let paidFlag = '';
+        if (payment) paidFlag = payment.prepaid ? 'Prepaid' : payment.isPaid ? 'Yes' : payment.paid > 0 ? 'Part' : 'No';
+
+        rows.push([
+          member.student,
+          cls.date,
+          getDayNameFromDateStr(cls.date),
+          cls.start,
+          cls.end,
+          (getMinutesBetween(cls.start, cls.end) / 60).toFixed(2),
+          describeClassStatus(cls),
+          type ? type.name : '',
+          getMemberRate(cls, member),
+          Math.round(getMemberAmount(cls, member)),
+          paidFlag,
+          payment ? payment.paid : ''
+        ]);
+      });
+    });
+
+  downloadCsv(rows, 'classes');
+}
+
+// One row per student, matching the report table
+function exportStudentSummaryCsv() {
+  const { startDate, endDate } = getReportDateRange();
+  const studentStats = getReportStudentStats(getClassesInRange(startDate, endDate));
+  const rows = [['Student', 'Completed', 'Upcoming', 'Awaiting Confirmation', 'Cancelled', 'Late Cancellation Fees (₹)', 'Hours', 'Rate (₹/hr)', 'Amount (₹)', 'Paid (₹)', 'Unpaid (₹)', 'Payment Status']];
+
+  Object.keys(studentStats).sort().forEach(student => {
+    const stats = studentStats[student];
+    const amount = Math.round(stats.completedAmount);
+    const paid = Math.round(stats.paidAmount);
+    let status = '';
+    if (stats.charged > 0) {
+      status = stats.paidClasses === stats.charged ? 'Paid' : paid > 0 ? 'Part paid' : 'Unpaid';
+    }
+
+    rows.push([
+      student,
+      stats.completed,
+      stats.upcoming,
+      stats.pending,
+      stats.cancelled,
+      Math.round(stats.lateFeeAmount),
+      (stats.completedMinutes / 60).toFixed(1),
+      getStudentRateOn(student, formatDateToYYYYMMDD(endDate)),
+      amount,
+      paid,
+      amount - paid,
+      status
+    ]);
+  });
+
+  downloadCsv(rows, 'student-summary');
+}
+
 // ==================== BACKUP FUNCTIONS ====================
 
 // Check and create automatic backup (weekly)
 function checkAndCreateBackup() {
-  const lastBackupDate = localStorage.getItem('lastBackupDate');
+  const lastBackupDate = appStorage.get('lastBackupDate');
   const now = new Date();
   const daysSinceBackup = lastBackupDate
     ? Math.floor((now - new Date(lastBackupDate)) / (1000 * 60 * 60 * 24))
@@ -2840,13 +7295,26 @@ function createAutoBackup() {
   const backupData = {
     timestamp: new Date().toISOString(),
     classes: classes,
+    archivedClasses: archivedClasses,
+    classSeries: classSeries,
+    students: students,
     studentRates: studentRates,
     paymentStatus: paymentStatus,
-    defaultRate: defaultRate
+    defaultRate: defaultRate,
+    messageTemplates: messageTemplates,
+    scheduleSettings: scheduleSettings,
+    packages: packages,
+    payments: payments,
+    invoices: invoices,
+    invoiceSettings: invoiceSettings,
+    reminderLog: reminderLog,
+    rateHistory: rateHistory,
+    defaultRateHistory: defaultRateHistory,
+    classTypes: classTypes
   };
 
   // Get existing backups
-  let backups = safeJsonParse('autoBackups', []);
+  let backups = getStored('autoBackups', []);
 
   // Add new backup
   backups.unshift(backupData);
@@ -2854,32 +7322,38 @@ function createAutoBackup() {
   // Keep only last 2 backups to save storage space
   backups = backups.slice(0, 2);
 
-  localStorage.setItem('autoBackups', JSON.stringify(backups));
-  localStorage.setItem('lastBackupDate', new Date().toISOString());
+  appStorage.set('autoBackups', backups);
+  appStorage.set('lastBackupDate', new Date().toISOString());
 }
 
 // Export data to JSON file
 function exportData() {
   const exportData = {
     exportDate: new Date().toISOString(),
-    version: '3.0', // v3.0: Added date field to classes for proper week/month tracking
+    version: '4.1', // v4.1: Added class archive
     data: {
       classes: classes,
+      archivedClasses: archivedClasses,
+      classSeries: classSeries,
+      students: students,
       studentRates: studentRates,
       paymentStatus: paymentStatus,
-      defaultRate: defaultRate
+      defaultRate: defaultRate,
+      messageTemplates: messageTemplates,
+      scheduleSettings: scheduleSettings,
+      packages: packages,
+      payments: payments,
+      invoices: invoices,
+      invoiceSettings: invoiceSettings,
+      reminderLog: reminderLog,
+      rateHistory: rateHistory,
+      defaultRateHistory: defaultRateHistory,
+      classTypes: classTypes
     }
   };
 
   const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = `mindful-maths-backup-${new Date().toISOString().split('T')[0]}.json`;
-  document.body.appendChild(a);
-  a.click();
-  document.body.removeChild(a);
-  URL.revokeObjectURL(url);
+  downloadBlob(blob, `mindful-maths-backup-${new Date().toISOString().split('T')[0]}.json`);
 
   showToast('Backup downloaded successfully!');
 }
@@ -2897,33 +7371,8 @@ function importData(file) {
         throw new Error('Invalid backup file format');
       }
 
-      // Confirm before overwriting
-      if (confirm(`This will replace all current data with the backup from ${new Date(importedData.exportDate).toLocaleDateString()}. Continue?`)) {
-        // Import the data
-        classes = importedData.data.classes || [];
-        studentRates = importedData.data.studentRates || {};
-        paymentStatus = importedData.data.paymentStatus || {};
-        defaultRate = importedData.data.defaultRate || 500;
-
-        // Save to localStorage
-        saveClasses();
-        localStorage.setItem('studentRates', JSON.stringify(studentRates));
-        localStorage.setItem('paymentStatus', JSON.stringify(paymentStatus));
-        localStorage.setItem('defaultRate', defaultRate);
-
-        // Migrate imported classes to include date field if missing
-        migrateClassesToDateFormat();
-
-        // Always fix timezone-shifted dates on import (backup may have old bad dates)
-        forceFixTimezoneShiftedDates();
-
-        // Refresh UI
-        renderWeekGrid();
-        updateStudentDropdowns();
-        renderReport();
-
-        showToast('Data restored successfully!');
-      }
+      // Let the user merge it in or replace everything, after seeing what would change
+      openImportDialog(importedData);
     } catch (error) {
       showToast('Error: Invalid backup file');
       console.error('Import error:', error);
@@ -2939,15 +7388,475 @@ function importData(file) {
   reader.readAsText(file);
 }
 
-// Calculate localStorage usage
-function getStorageUsage() {
-  let totalSize = 0;
-  for (let key in localStorage) {
-    if (localStorage.hasOwnProperty(key)) {
-      totalSize += localStorage[key].length * 2; // UTF-16 = 2 bytes per char
+// Replace all current data with a backup's
+function replaceAllData(data) {
+  classes = data.classes || [];
+  archivedClasses = data.archivedClasses || archivedClasses;
+  classSeries = data.classSeries || [];
+  students = data.students || [];
+  studentRates = data.studentRates || {};
+  paymentStatus = data.paymentStatus || {};
+  defaultRate = data.defaultRate || 500;
+  messageTemplates = data.messageTemplates || messageTemplates;
+  packages = data.packages || [];
+  payments = data.payments || [];
+  invoices = data.invoices || [];
+  invoiceSettings = data.invoiceSettings || invoiceSettings;
+  reminderLog = data.reminderLog || [];
+  rateHistory = data.rateHistory || {};
+  defaultRateHistory = data.defaultRateHistory || [];
+  classTypes = data.classTypes || classTypes;
+  if (data.scheduleSettings) {
+    appStorage.set('scheduleSettings', data.scheduleSettings);
+    scheduleSettings = loadScheduleSettings();
+  }
+
+  clearUndoHistory();
+
+  // Save the imported data
+  saveClasses();
+  saveArchivedClasses();
+  saveSeries();
+  saveStudents();
+  savePackages();
+  savePayments();
+  saveInvoices();
+  saveClassTypes();
+  saveReminderLog();
+  appStorage.set('invoiceSettings', invoiceSettings);
+  saveRates();
+  appStorage.set('paymentStatus', paymentStatus);
+  saveMessageTemplates();
+
+  finishImport();
+  showToast('Data restored successfully!');
+}
+
+// Bring imported classes up to date and refresh the UI
+function finishImport() {
+  // Migrate imported classes to include date field if missing
+  migrateClassesToDateFormat();
+
+  // Always fix timezone-shifted dates on import (backup may have old bad dates)
+  forceFixTimezoneShiftedDates();
+
+  // Older backups have no student profiles - create them from class names
+  syncStudentRegistry();
+  migrateToClassIds();
+  archiveOldClasses();
+
+  // Refresh UI
+  renderWeekGrid();
+  updateStudentDropdowns();
+  renderReport();
+}
+
+// ==================== MERGE IMPORT ====================
+
+// Merging a backup (e.g. from another device) keeps this device's data and adds what the file
+// has on top. Records are matched by ID - classes also by student, date and time, and students
+// by name, as the same ones get different IDs on each device. Records that differ are listed
+// as conflicts, and only the ones picked "From file" are overwritten.
+
+// Fields of two matched records that differ, leaving out ones that are expected to
+function getChangedFields(local, incoming, ignore = ['id']) {
+  const keys = new Set([...Object.keys(local), ...Object.keys(incoming)]);
+  return [...keys].filter(key => !ignore.includes(key) && JSON.stringify(local[key]) !== JSON.stringify(incoming[key]));
+}
+
+function describeMergeValue(value) {
+  if (value === undefined || value === null || value === '') return '—';
+  if (typeof value === 'boolean') return value ? 'yes' : 'no';
+  if (typeof value === 'object') return Array.isArray(value) ? `${value.length} item${value.length !== 1 ? 's' : ''}` : 'details';
+  return String(value);
+}
+
+function describeMergeClass(cls) {
+  return `${cls.student} · ${formatDateShort(new Date(cls.date + 'T12:00:00'))} · ${formatTime(cls.start)} - ${formatTime(cls.end)}`;
+}
+
+// Work out what merging a backup would add and change, without changing anything yet
+function buildMergePlan(data) {
+  const plan = {
+    added: { students: [], classes: [], classSeries: [], packages: [], payments: [], invoices: [] },
+    paymentMarks: [], // Payment IDs marked paid in the file only
+    rates: [], // { student, rate, history } for students with no rate here
+    renumberedInvoices: [], // { from, to } for added invoices whose number is already used here
+    reminders: [],
+    classTypes: [],
+    unchanged: 0,
+    conflicts: [] // { type, title, fields, local, incoming, takeIncoming }
+  };
+
+  const addConflict = (type, title, local, incoming, fields, takeIncoming) => {
+    plan.conflicts.push({ type, title, fields, local, incoming, takeIncoming });
+  };
+
+  // Students - the file's IDs and names are mapped to the matching profiles here
+  const studentIdMap = {};
+  const nameMap = {};
+  (data.students || []).forEach(incoming => {
+    const local = getStudentById(incoming.id) || students.find(s => s.name === incoming.name);
+    if (!local) {
+      plan.added.students.push(incoming);
+      return;
+    }
+    studentIdMap[incoming.id] = local.id;
+    nameMap[incoming.name] = local.name;
+
+    const fields = getChangedFields(local, incoming, ['id', 'createdAt']);
+    if (fields.length === 0) {
+      plan.unchanged++;
+      return;
+    }
+    addConflict('Student', local.name, local, incoming, fields, () => {
+      if (incoming.name !== local.name) renameStudent(local, incoming.name);
+      Object.assign(local, { ...incoming, id: local.id, createdAt: local.createdAt });
+    });
+  });
+
+  const remapStudent = (record) => {
+    if (record.studentId && studentIdMap[record.studentId]) record.studentId = studentIdMap[record.studentId];
+    if (nameMap[record.student]) record.student = nameMap[record.student];
+    (record.groupStudents || []).forEach(remapStudent);
+  };
+
+  // Classes, archived ones included
+  const classIdMap = {};
+  const localClasses = getAllClasses();
+  const matchedClasses = new Set();
+  const getSlotKey = (cls) => `${cls.student}_${cls.date}_${cls.start}_${cls.end}`;
+  [...(data.archivedClasses || []), ...data.classes].forEach(incoming => {
+    remapStudent(incoming);
+    const local = (incoming.id && localClasses.find(cls => cls.id === incoming.id)) ||
+      localClasses.find(cls => !matchedClasses.has(cls) && getSlotKey(cls) === getSlotKey(incoming));
+    if (!local) {
+      plan.added.classes.push(incoming);
+      return;
+    }
+    matchedClasses.add(local);
+    if (incoming.id) classIdMap[incoming.id] = local.id;
+
+    const fields = getChangedFields(local, incoming);
+    if (fields.length === 0) {
+      plan.unchanged++;
+      return;
+    }
+    addConflict('Class', describeMergeClass(local), local, incoming, fields, () => {
+      const list = classes.includes(local) ? classes : archivedClasses;
+      list[list.indexOf(local)] = { ...incoming, id: local.id };
+    });
+  });
+
+  // Payment IDs in the file use its class and student IDs
+  const rekeyPaymentId = (key) => {
+    const split = key.lastIndexOf('_student_');
+    if (split === -1) return key; // Older keys made of name, date and time - see migrateToClassIds
+    const classKey = key.slice(0, split);
+    const studentId = key.slice(split + 1);
+    return `${classIdMap[classKey] || classKey}_${studentIdMap[studentId] || studentId}`;
+  };
+
+  // Series, packages, payments and invoices are only ever matched by ID
+  const mergeById = (type, localList, incomingList, describe) => {
+    (incomingList || []).forEach(incoming => {
+      const local = localList.find(record => record.id === incoming.id);
+      if (!local) {
+        plan.added[type].push(incoming);
+        return;
+      }
+      const fields = getChangedFields(local, incoming);
+      if (fields.length === 0) {
+        plan.unchanged++;
+        return;
+      }
+      addConflict(describe.label, describe(local), local, incoming, fields, () => {
+        localList[localList.indexOf(local)] = incoming;
+      });
+    });
+  };
+
+  const describeSeries = (series) => `${series.student} · ${formatTime(series.start)} - ${formatTime(series.end)}`;
+  describeSeries.label = 'Weekly class';
+  (data.classSeries || []).forEach(series => {
+    remapStudent(series);
+    Object.values(series.exceptions || {}).forEach(remapStudent);
+  });
+  mergeById('classSeries', classSeries, data.classSeries, describeSeries);
+
+  const describePackage = (pkg) => `${pkg.classes} classes · ₹${(pkg.amount || 0).toLocaleString()} · ${formatDateShort(new Date(pkg.purchaseDate + 'T12:00:00'))}`;
+  describePackage.label = 'Package';
+  (data.packages || []).forEach(remapStudent);
+  mergeById('packages', packages, data.packages, describePackage);
+
+  const describePayment = (payment) => `₹${payment.amount.toLocaleString()} · ${formatDateShort(new Date(payment.date + 'T12:00:00'))}`;
+  describePayment.label = 'Payment';
+  (data.payments || []).forEach(payment => {
+    remapStudent(payment);
+    if (!payment.allocations) return;
+    const allocations = {};
+    Object.keys(payment.allocations).forEach(key => {
+      allocations[rekeyPaymentId(key)] = payment.allocations[key];
+    });
+    payment.allocations = allocations;
+  });
+  mergeById('payments', payments, data.payments, describePayment);
+
+  const describeInvoice = (invoice) => `${invoice.number} · ${invoice.student}`;
+  describeInvoice.label = 'Invoice';
+  (data.invoices || []).forEach(remapStudent);
+  mergeById('invoices', invoices, data.invoices, describeInvoice);
+
+  // Invoices made on another device can reuse numbers taken here - those get new numbers
+  // after all the others, so every invoice number stays unique
+  const takenSeqs = new Set(invoices.map(invoice => invoice.seq));
+  const takenNumbers = new Set(invoices.map(invoice => invoice.number));
+  const clashingInvoices = plan.added.invoices.filter(invoice => {
+    if (takenSeqs.has(invoice.seq) || takenNumbers.has(invoice.number)) return true;
+    takenSeqs.add(invoice.seq);
+    takenNumbers.add(invoice.number);
+    return false;
+  });
+  let nextSeq = Math.max(getNextInvoiceSeq(), ...plan.added.invoices.map(invoice => (invoice.seq || 0) + 1));
+  clashingInvoices.forEach(invoice => {
+    while (takenNumbers.has(formatInvoiceNumber(nextSeq))) nextSeq++;
+    const from = invoice.number;
+    invoice.seq = nextSeq++;
+    invoice.number = formatInvoiceNumber(invoice.seq);
+    takenNumbers.add(invoice.number);
+    plan.renumberedInvoices.push({ from, to: invoice.number });
+  });
+
+  // A class marked paid on either device stays paid
+  Object.keys(data.paymentStatus || {}).forEach(key => {
+    if (!data.paymentStatus[key]) return;
+    const paymentId = rekeyPaymentId(key);
+    if (!paymentStatus[paymentId]) plan.paymentMarks.push(paymentId);
+  });
+
+  // Rates are kept by student name, with their history
+  const incomingRateHistory = data.rateHistory || {};
+  Object.keys(data.studentRates || {}).forEach(name => {
+    const student = nameMap[name] || name;
+    const incoming = { rate: data.studentRates[name], history: incomingRateHistory[name] };
+    if (studentRates[student] === undefined) {
+      plan.rates.push({ student, ...incoming });
+      return;
+    }
+    const local = { rate: studentRates[student], history: rateHistory[student] };
+    const fields = getChangedFields(local, incoming, []);
+    if (fields.length === 0) {
+      plan.unchanged++;
+      return;
+    }
+    const profile = students.find(s => s.name === student);
+    addConflict('Rate', student, local, incoming, fields, () => {
+      // Taking the student's own conflict first may have renamed them
+      const name = profile ? getStudentById(profile.id).name : student;
+      studentRates[name] = incoming.rate;
+      if (incoming.history) {
+        rateHistory[name] = incoming.history;
+      } else {
+        delete rateHistory[name];
+      }
+    });
+  });
+
+  if (data.defaultRate) {
+    const local = { rate: defaultRate, history: defaultRateHistory };
+    const incoming = { rate: data.defaultRate, history: data.defaultRateHistory || [] };
+    const fields = getChangedFields(local, incoming, []);
+    if (fields.length > 0) {
+      addConflict('Rate', 'Default rate', local, incoming, fields, () => {
+        defaultRate = incoming.rate;
+        defaultRateHistory = incoming.history;
+      });
     }
   }
-  return totalSize;
+
+  const loggedReminders = new Set(reminderLog.map(entry => JSON.stringify(entry)));
+  plan.reminders = (data.reminderLog || []).filter(entry => !loggedReminders.has(JSON.stringify(entry)));
+  plan.classTypes = (data.classTypes || []).filter(type => !classTypes.some(t => t.id === type.id));
+
+  return plan;
+}
+
+// One line per kind of record the merge adds, e.g. "3 classes"
+function describeMergeAdditions(plan) {
+  const count = (n, singular, plural) => n > 0 ? `${n} ${n === 1 ? singular : plural}` : null;
+  return [
+    count(plan.added.classes.length, 'class', 'classes'),
+    count(plan.added.classSeries.length, 'weekly class', 'weekly classes'),
+    count(plan.added.students.length, 'student', 'students'),
+    count(plan.added.packages.length, 'package', 'packages'),
+    count(plan.added.payments.length, 'payment', 'payments'),
+    count(plan.added.invoices.length, 'invoice', 'invoices'),
+    plan.renumberedInvoices.length > 0
+      ? `${count(plan.renumberedInvoices.length, 'invoice', 'invoices')} renumbered (${plan.renumberedInvoices.map(({ from, to }) => `${from} → ${to}`).join(', ')})`
+      : null,
+    count(plan.paymentMarks.length, 'class marked paid', 'classes marked paid'),
+    count(plan.rates.length, 'student rate', 'student rates'),
+    count(plan.reminders.length, 'reminder sent', 'reminders sent'),
+    count(plan.classTypes.length, 'class type', 'class types')
+  ].filter(Boolean);
+}
+
+function openImportDialog(importedData) {
+  closeImportDialog();
+
+  const plan = buildMergePlan(JSON.parse(JSON.stringify(importedData.data)));
+  const additions = describeMergeAdditions(plan);
+  const addedCount = Object.values(plan.added).reduce((sum, list) => sum + list.length, 0) +
+    plan.paymentMarks.length + plan.rates.length + plan.reminders.length + plan.classTypes.length;
+  const describeSide = (record, fields) => fields
+    .map(field => `<span class="merge-field">${escapeHtml(field)}: ${escapeHtml(describeMergeValue(record[field]))}</span>`)
+    .join('');
+
+  const dialogHtml = `
+    <div class="merge-dialog-content">
+      <h3>📤 Import Backup</h3>
+      <p class="dialog-subtitle">Backup from ${new Date(importedData.exportDate).toLocaleDateString()}</p>
+
+      <div class="merge-summary">
+        <div class="merge-stat merge-stat-added"><strong>${addedCount}</strong>New</div>
+        <div class="merge-stat"><strong>${plan.unchanged}</strong>Same</div>
+        <div class="merge-stat merge-stat-conflict"><strong>${plan.conflicts.length}</strong>Different</div>
+      </div>
+
+      ${additions.length > 0 ? `
+        <h4 class="merge-section-title">New from the file</h4>
+        <ul class="merge-added-list">
+          ${additions.map(line => `<li>${escapeHtml(line)}</li>`).join('')}
+        </ul>
+      ` : ''}
+
+      ${plan.conflicts.length > 0 ? `
+        <h4 class="merge-section-title">Different on this device - pick which to keep</h4>
+        <div class="merge-conflict-list">
+          ${plan.conflicts.map((conflict, index) => `
+            <div class="merge-conflict">
+              <div class="merge-conflict-title"><span class="merge-type">${conflict.type}</span> ${escapeHtml(conflict.title)}</div>
+              <label class="merge-side">
+                <input type="radio" name="mergeConflict${index}" value="local" checked />
+                <span><strong>This device</strong>${describeSide(conflict.local, conflict.fields)}</span>
+              </label>
+              <label class="merge-side">
+                <input type="radio" name="mergeConflict${index}" value="incoming" />
+                <span><strong>From file</strong>${describeSide(conflict.incoming, conflict.fields)}</span>
+              </label>
+            </div>
+          `).join('')}
+        </div>
+      ` : ''}
+
+      ${additions.length === 0 && plan.conflicts.length === 0 ? '<p class="merge-note">Everything in this backup is already on this device.</p>' : ''}
+      <p class="merge-note">Merging keeps settings, message templates and invoice details as they are here. Replace All restores the backup exactly, removing anything added since.</p>
+
+      <div class="dialog-actions">
+        ${plan.conflicts.length > 1 ? `
+          <button class="btn btn-secondary" id="mergeKeepAllBtn">Keep All Mine</button>
+          <button class="btn btn-secondary" id="mergeTakeAllBtn">Use All From File</button>
+        ` : ''}
+        <button class="btn btn-primary" id="applyMergeBtn">Merge</button>
+        <button class="btn btn-secondary" id="replaceAllBtn">Replace All</button>
+        <button class="btn btn-secondary" id="cancelImportBtn">Cancel</button>
+      </div>
+    </div>
+  `;
+
+  // Create dialog overlay
+  const dialog = document.createElement('div');
+  dialog.id = 'importDialog';
+  dialog.className = 'modal';
+  dialog.innerHTML = `<div class="modal-content">${dialogHtml}</div>`;
+  dialog.addEventListener('click', (e) => {
+    if (e.target === dialog) closeImportDialog();
+  });
+  document.body.appendChild(dialog);
+
+  const pickAll = (side) => {
+    dialog.querySelectorAll(`.merge-side input[value="${side}"]`).forEach(radio => {
+      radio.checked = true;
+    });
+  };
+  if (plan.conflicts.length > 1) {
+    document.getElementById('mergeKeepAllBtn').addEventListener('click', () => pickAll('local'));
+    document.getElementById('mergeTakeAllBtn').addEventListener('click', () => pickAll('incoming'));
+  }
+
+  document.getElementById('applyMergeBtn').addEventListener('click', () => {
+    const takeIncoming = plan.conflicts.map((conflict, index) =>
+      dialog.querySelector(`input[name="mergeConflict${index}"]:checked`).value === 'incoming');
+    closeImportDialog();
+    applyMergePlan(plan, takeIncoming);
+  });
+  document.getElementById('replaceAllBtn').addEventListener('click', () => {
+    if (!confirm(`This will replace all current data with the backup from ${new Date(importedData.exportDate).toLocaleDateString()}. Continue?`)) return;
+    closeImportDialog();
+    replaceAllData(importedData.data);
+  });
+  document.getElementById('cancelImportBtn').addEventListener('click', closeImportDialog);
+}
+
+function closeImportDialog() {
+  const dialog = document.getElementById('importDialog');
+  if (dialog) dialog.remove();
+}
+
+// Add what the file has on top of this device's data. takeIncoming says, per conflict, whether the file wins.
+function applyMergePlan(plan, takeIncoming) {
+  // Keep a copy of the data as it was, restorable from the backup list
+  createAutoBackup();
+
+  students.push(...plan.added.students);
+  plan.added.classes.forEach(cls => {
+    if (!cls.id) cls.id = generateId('class');
+    classes.push(cls);
+  });
+  classSeries.push(...plan.added.classSeries);
+  packages.push(...plan.added.packages);
+  payments.push(...plan.added.payments);
+  invoices.push(...plan.added.invoices);
+  plan.paymentMarks.forEach(paymentId => {
+    paymentStatus[paymentId] = true;
+  });
+  plan.rates.forEach(({ student, rate, history }) => {
+    studentRates[student] = rate;
+    if (history) rateHistory[student] = history;
+  });
+  reminderLog.push(...plan.reminders);
+  classTypes.push(...plan.classTypes);
+
+  let conflictsTaken = 0;
+  plan.conflicts.forEach((conflict, index) => {
+    if (!takeIncoming[index]) return;
+    conflict.takeIncoming();
+    conflictsTaken++;
+  });
+  clearUndoHistory();
+
+  saveClasses();
+  saveArchivedClasses();
+  saveSeries();
+  saveStudents();
+  savePackages();
+  savePayments();
+  saveInvoices();
+  saveClassTypes();
+  saveReminderLog();
+  saveRates();
+  appStorage.set('paymentStatus', paymentStatus);
+
+  finishImport();
+
+  const changes = describeMergeAdditions(plan);
+  if (conflictsTaken > 0) changes.push(`${conflictsTaken} updated`);
+  showToast(changes.length > 0 ? `Merged: ${changes.join(', ')}` : 'Nothing new to merge');
+}
+
+// Calculate saved data size
+function getStorageUsage() {
+  return appStorage.getUsage();
 }
 
 function formatBytes(bytes) {
@@ -2958,7 +7867,7 @@ function formatBytes(bytes) {
 
 function getStoragePercentage() {
   const used = getStorageUsage();
-  const limit = 5 * 1024 * 1024; // 5 MB typical limit
+  const limit = appStorage.getQuota(); // Browser quota for IndexedDB, 5 MB for the localStorage fallback
   return Math.min((used / limit) * 100, 100);
 }
 
@@ -2972,7 +7881,7 @@ async function getStoragePersistenceStatus() {
 
 // Show backup/restore dialog
 async function showBackupDialog() {
-  const backups = safeJsonParse('autoBackups', []);
+  const backups = getStored('autoBackups', []);
   const isPersisted = await getStoragePersistenceStatus();
 
   let backupListHtml = '';
@@ -3100,7 +8009,7 @@ function handleImportFile(event) {
 
 // Restore from auto backup
 function restoreAutoBackup(index) {
-  const backups = safeJsonParse('autoBackups', []);
+  const backups = getStored('autoBackups', []);
 
   // Validate index bounds
   if (index < 0 || index >= backups.length) {
@@ -3114,15 +8023,42 @@ function restoreAutoBackup(index) {
   const date = new Date(backup.timestamp);
   if (confirm(`Restore backup from ${date.toLocaleDateString()} ${date.toLocaleTimeString()}? This will replace all current data.`)) {
     classes = backup.classes || [];
+    archivedClasses = backup.archivedClasses || archivedClasses;
+    classSeries = backup.classSeries || [];
+    students = backup.students || [];
     studentRates = backup.studentRates || {};
     paymentStatus = backup.paymentStatus || {};
     defaultRate = backup.defaultRate || 500;
+    messageTemplates = backup.messageTemplates || messageTemplates;
+    packages = backup.packages || [];
+    payments = backup.payments || [];
+    invoices = backup.invoices || [];
+    invoiceSettings = backup.invoiceSettings || invoiceSettings;
+    reminderLog = backup.reminderLog || [];
+    rateHistory = backup.rateHistory || {};
+    defaultRateHistory = backup.defaultRateHistory || [];
+    classTypes = backup.classTypes || classTypes;
+    if (backup.scheduleSettings) {
+      appStorage.set('scheduleSettings', backup.scheduleSettings);
+      scheduleSettings = loadScheduleSettings();
+    }
 
-    // Save to localStorage
+    clearUndoHistory();
+
+    // Save the restored data
     saveClasses();
-    localStorage.setItem('studentRates', JSON.stringify(studentRates));
-    localStorage.setItem('paymentStatus', JSON.stringify(paymentStatus));
-    localStorage.setItem('defaultRate', defaultRate);
+    saveArchivedClasses();
+    saveSeries();
+    saveStudents();
+    savePackages();
+    savePayments();
+    saveInvoices();
+    saveClassTypes();
+    saveReminderLog();
+    appStorage.set('invoiceSettings', invoiceSettings);
+    saveRates();
+    appStorage.set('paymentStatus', paymentStatus);
+    saveMessageTemplates();
 
     // Migrate imported classes to include date field if missing
     migrateClassesToDateFormat();
@@ -3130,6 +8066,11 @@ function restoreAutoBackup(index) {
     // Fix timezone-shifted dates (backup may have old bad dates)
     forceFixTimezoneShiftedDates();
 
+    // Older backups have no student profiles - create them from class names
+    syncStudentRegistry();
+    migrateToClassIds();
+    archiveOldClasses();
+
     // Refresh UI
     renderWeekGrid();
     updateStudentDropdowns();
@@ -3142,7 +8083,7 @@ function restoreAutoBackup(index) {
 
 // ==================== NOTIFICATION FUNCTIONS ====================
 
-let notificationsEnabled = localStorage.getItem('notificationsEnabled') === 'true';
+let notificationsEnabled = appStorage.get('notificationsEnabled') === true;
 let notifiedClasses = new Set(); // Track which classes we've already notified about
 
 // Initialize notifications
@@ -3155,10 +8096,10 @@ function initNotifications() {
   // Check current permission and restore saved preference
   if (Notification.permission === 'granted') {
     // Only enable if user previously enabled (or first time)
-    const savedPref = localStorage.getItem('notificationsEnabled');
-    if (savedPref === null || savedPref === 'true') {
+    const savedPref = appStorage.get('notificationsEnabled');
+    if (savedPref === undefined || savedPref === true) {
       notificationsEnabled = true;
-      localStorage.setItem('notificationsEnabled', 'true');
+      appStorage.set('notificationsEnabled', true);
     }
     updateNotificationButton();
   } else if (Notification.permission !== 'denied') {
@@ -3167,7 +8108,7 @@ function initNotifications() {
   } else {
     // Permission denied, disable notifications
     notificationsEnabled = false;
-    localStorage.setItem('notificationsEnabled', 'false');
+    appStorage.set('notificationsEnabled', false);
   }
 
   // Load notified classes from session
@@ -3188,11 +8129,11 @@ function testNotification() {
     Notification.requestPermission().then(permission => {
       if (permission === 'granted') {
         notificationsEnabled = true;
-        localStorage.setItem('notificationsEnabled', 'true');
+        appStorage.set('notificationsEnabled', true);
         updateNotificationButton();
         sendTestNotification();
       } else {
-        localStorage.setItem('notificationsEnabled', 'false');
+        appStorage.set('notificationsEnabled', false);
         showInAppAlert('Permission Denied', 'Please enable notifications in your browser/device settings');
       }
     });
@@ -3272,11 +8213,11 @@ function requestNotificationPermission() {
   Notification.requestPermission().then(permission => {
     if (permission === 'granted') {
       notificationsEnabled = true;
-      localStorage.setItem('notificationsEnabled', 'true');
+      appStorage.set('notificationsEnabled', true);
       updateNotificationButton();
       showToast('Notifications enabled!');
     } else {
-      localStorage.setItem('notificationsEnabled', 'false');
+      appStorage.set('notificationsEnabled', false);
     }
   });
 }
@@ -3299,7 +8240,7 @@ function checkUpcomingClasses() {
   const currentMinutes = now.getHours() * 60 + now.getMinutes();
 
   // Get today's confirmed classes by date (exclude cancelled and pending confirmation)
-  const todayClasses = classes.filter(c => c.date === todayStr && !c.cancelled && !c.pendingConfirmation);
+  const todayClasses = getClassesOnDate(todayStr).filter(c => !c.cancelled && !c.pendingConfirmation);
 
   todayClasses.forEach(c => {
     const [hours, minutes] = c.start.split(':').map(Number);
@@ -3328,27 +8269,39 @@ function checkUpcomingClasses() {
 function sendClassReminder(classData) {
   if (!notificationsEnabled) return;
 
+  const timeText = `${formatTime(classData.start)} - ${formatTime(classData.end)}`;
+  const locationText = describeLocation(classData.location);
+  const locationAction = getLocationAction(classData.location);
+
   // Show non-blocking toast instead of modal alert (so multiple can stack)
   showReminderToast(
-    `${classData.student}'s class`,
-    `${formatTime(classData.start)} - ${formatTime(classData.end)}`
+    `${getClassLabel(classData)}'s class`,
+    locationText ? `${timeText} · ${locationText}` : timeText,
+    locationAction
   );
 
   // Enhanced options for better visibility
   const options = {
-    body: `${formatTime(classData.start)} - ${formatTime(classData.end)} - Get ready!`,
+    body: `${timeText}${locationText ? `\n${locationText}` : ''} - Get ready!`,
     icon: '/icons/icon-192.png',
     badge: '/icons/icon-72.png',
     tag: 'class-' + Date.now(),
     vibrate: [300, 100, 300, 100, 300],
     requireInteraction: true,
-    actions: [
-      { action: 'open', title: '📖 Open App' },
-      { action: 'dismiss', title: '✕ Dismiss' }
-    ]
+    // Join/Directions replaces Open App - tapping the notification still opens the app
+    actions: locationAction
+      ? [
+          { action: 'location', title: locationAction.label },
+          { action: 'dismiss', title: '✕ Dismiss' }
+        ]
+      : [
+          { action: 'open', title: '📖 Open App' },
+          { action: 'dismiss', title: '✕ Dismiss' }
+        ],
+    data: { url: locationAction ? locationAction.url : null }
   };
 
-  const title = `⏰ ${classData.student}'s class in 15 min!`;
+  const title = `⏰ ${getClassLabel(classData)}'s class in 15 min!`;
 
   // Always use Service Worker for notifications (required on mobile)
   if ('serviceWorker' in navigator) {
@@ -3358,8 +8311,8 @@ function sendClassReminder(classData) {
   }
 }
 
-// Non-blocking toast notification for class reminders
-function showReminderToast(title, message) {
+// Non-blocking toast notification for class reminders, with an optional { label, url } action
+function showReminderToast(title, message, action = null) {
   const toast = document.createElement('div');
   toast.className = 'reminder-toast';
   toast.innerHTML = `
@@ -3368,6 +8321,7 @@ function showReminderToast(title, message) {
       <div class="reminder-toast-title">${escapeHtml(title)}</div>
       <div class="reminder-toast-message">${escapeHtml(message)}</div>
     </div>
+    ${action ? `<a class="reminder-toast-action" href="${escapeHtml(action.url)}" target="_blank" rel="noopener">${escapeHtml(action.label)}</a>` : ''}
     <button class="reminder-toast-close">✕</button>
   `;
 
@@ -3412,7 +8366,7 @@ function checkEndOfDayReminder() {
   const now = new Date();
   const hour = now.getHours();
   const minutes = now.getMinutes();
-  const lastReminderTime = localStorage.getItem('lastEndOfDayReminderTime');
+  const lastReminderTime = appStorage.get('lastEndOfDayReminderTime');
 
   // Check if we're in the reminder window (8 PM to midnight)
   if (hour >= 20 || hour === 0) {
@@ -3424,19 +8378,19 @@ function checkEndOfDayReminder() {
     if (hasPendingTasks) {
       // Show every 30 minutes if there are still pending tasks
       const nowTimestamp = now.getTime();
-      const lastTime = lastReminderTime ? parseInt(lastReminderTime) : 0;
+      const lastTime = lastReminderTime || 0;
       const thirtyMinutes = 30 * 60 * 1000;
 
       if (nowTimestamp - lastTime >= thirtyMinutes) {
         showEndOfDayReminder();
-        localStorage.setItem('lastEndOfDayReminderTime', nowTimestamp.toString());
+        appStorage.set('lastEndOfDayReminderTime', nowTimestamp);
       }
     }
   }
 
   // Reset at 6 AM for next day
   if (hour === 6 && minutes === 0) {
-    localStorage.removeItem('lastEndOfDayReminderTime');
+    appStorage.remove('lastEndOfDayReminderTime');
   }
 
   // Update task badge periodically
@@ -3448,7 +8402,7 @@ function checkEndOfDayReminder() {
 
 // Check if backup reminder should be shown (weekly)
 function checkBackupReminder() {
-  const lastExportReminder = localStorage.getItem('lastExportReminder');
+  const lastExportReminder = appStorage.get('lastExportReminder');
   const now = new Date();
   const todayKey = formatDateToYYYYMMDD(now);
 
@@ -3465,7 +8419,7 @@ function checkBackupReminder() {
 
   if (shouldRemind) {
     showBackupReminderToast();
-    localStorage.setItem('lastExportReminder', todayKey);
+    appStorage.set('lastExportReminder', todayKey);
   }
 }
 
@@ -3521,7 +8475,7 @@ function testEndOfDayReminder() {
 function showEndOfDayReminder() {
   // Get today's classes
   const todayStr = formatDateToYYYYMMDD(new Date());
-  const todayClasses = classes.filter(c => c.date === todayStr && !c.cancelled);
+  const todayClasses = getClassesOnDate(todayStr).filter(c => !c.cancelled);
   const completedToday = todayClasses.filter(c => isClassCompleted(c)).length;
 
   // Get unpaid classes count
@@ -3550,18 +8504,20 @@ function showEndOfDayReminder() {
 }
 
 function getUnpaidClassesCount() {
-  // Count completed classes without payment marked
+  // Count completed classes (and late cancellation fees) without payment marked
   let unpaidCount = 0;
+  const pastOccurrences = getSeriesOccurrences('', formatDateToYYYYMMDD(new Date()));
+  const paymentLookup = createPaymentLookup();
 
-  classes.forEach(c => {
-    if (c.cancelled || c.pendingConfirmation) return;
-    if (!isClassCompleted(c)) return;
+  [...getAllClasses(), ...pastOccurrences].forEach(c => {
+    if (!isChargeableClass(c)) return;
 
-    // Check if payment is marked for this class
-    const paymentId = getClassPaymentId ? getClassPaymentId(c) : `${c.student}_${c.date}_${c.start}`;
-    if (!paymentStatus[paymentId]) {
-      unpaidCount++;
-    }
+    // Check if this class is paid in full, for each student in a group
+    getClassMembers(c).forEach(member => {
+      if (!paymentLookup.getClassPayment(c, member).isPaid) {
+        unpaidCount++;
+      }
+    });
   });
 
   return unpaidCount;
@@ -3569,7 +8525,7 @@ function getUnpaidClassesCount() {
 
 function getPendingTasksCount() {
   const todayStr = formatDateToYYYYMMDD(new Date());
-  const todayClasses = classes.filter(c => c.date === todayStr && !c.cancelled && isClassCompleted(c));
+  const todayClasses = getClassesOnDate(todayStr).filter(c => !c.cancelled && isClassCompleted(c));
   const unpaidCount = getUnpaidClassesCount();
 
   return todayClasses.length + unpaidCount;
@@ -3721,13 +8677,13 @@ function toggleNotifications() {
     closeDialog();
     if (notificationsEnabled) {
       notificationsEnabled = false;
-      localStorage.setItem('notificationsEnabled', 'false');
+      appStorage.set('notificationsEnabled', false);
       updateNotificationButton();
       showToast('Notifications disabled');
     } else {
       if (Notification.permission === 'granted') {
         notificationsEnabled = true;
-        localStorage.setItem('notificationsEnabled', 'true');
+        appStorage.set('notificationsEnabled', true);
         updateNotificationButton();
         showToast('Notifications enabled');
       } else {
@@ -3754,8 +8710,8 @@ function showNextClassInfo() {
   const currentDay = DAYS[now.getDay() === 0 ? 6 : now.getDay() - 1];
   const currentMinutes = now.getHours() * 60 + now.getMinutes();
 
-  const todayClasses = classes
-    .filter(c => c.date === todayStr && !c.cancelled && !c.pendingConfirmation)
+  const todayClasses = getClassesOnDate(todayStr)
+    .filter(c => !c.cancelled && !c.pendingConfirmation)
     .sort((a, b) => a.start.localeCompare(b.start));
 
   if (todayClasses.length === 0) {
@@ -3859,7 +8815,7 @@ const BADGES = {
 };
 
 // Achievements state
-let achievements = safeJsonParse('achievements', {
+let achievements = getStored('achievements', {
   badges: [],
   streak: 0,
   lastActiveDate: null,
@@ -4188,8 +9144,9 @@ function showAchievementsModal() {
 
   // Render stats
   const statsGrid = document.getElementById('allTimeStats');
-  const uniqueStudents = [...new Set(classes.map(c => c.student))].length;
-  const completedClasses = classes.filter(c => !c.cancelled && !c.pendingConfirmation && isClassCompleted(c)).length;
+  const uniqueStudents = students.filter(s => !s.archived).length;
+  const pastClasses = [...getAllClasses(), ...getSeriesOccurrences('', formatDateToYYYYMMDD(new Date()))];
+  const completedClasses = pastClasses.filter(c => !c.cancelled && !c.pendingConfirmation && isClassCompleted(c)).length;
 
   statsGrid.innerHTML = `
     <div class="stat-item">
@@ -4221,16 +9178,17 @@ function closeAchievementsModal() {
 
 // Save achievements
 function saveAchievements() {
-  localStorage.setItem('achievements', JSON.stringify(achievements));
+  appStorage.set('achievements', achievements);
 }
 
 // Check all badges based on current state
 function checkAllBadges(silent = false) {
-  const uniqueStudents = [...new Set(classes.map(c => c.student))];
-  const completedClasses = classes.filter(c => !c.cancelled && !c.pendingConfirmation && isClassCompleted(c));
+  const uniqueStudents = students.filter(s => !s.archived);
+  const pastClasses = [...getAllClasses(), ...getSeriesOccurrences('', formatDateToYYYYMMDD(new Date()))];
+  const completedClasses = pastClasses.filter(c => !c.cancelled && !c.pendingConfirmation && isClassCompleted(c));
 
   // First class
-  if (classes.length > 0) awardBadge('firstClass', silent);
+  if (pastClasses.length > 0 || classSeries.length > 0) awardBadge('firstClass', silent);
 
   // Class milestones
   if (completedClasses.length >= 10) awardBadge('tenClasses', silent);
@@ -4242,14 +9200,14 @@ function checkAllBadges(silent = false) {
   if (uniqueStudents.length >= 5) awardBadge('fiveStudents', silent);
 
   // Check for early bird / night owl
-  classes.forEach(c => {
+  [...getAllClasses(), ...classSeries].forEach(c => {
     const startHour = parseInt(c.start.split(':')[0]);
     if (startHour < 8) awardBadge('earlyBird', silent);
     if (startHour >= 20) awardBadge('nightOwl', silent);
   });
 
-  // Check payment badges
-  const paidCount = Object.values(paymentStatus).filter(v => v === true).length;
+  // Check payment badges (classes marked paid in older data, plus payments recorded)
+  const paidCount = Object.values(paymentStatus).filter(v => v === true).length + payments.length;
   if (paidCount >= 1) awardBadge('firstPayment', silent);
   if (paidCount >= 10) awardBadge('tenPayments', silent);
 }
@@ -4266,3 +9224,7 @@ function celebrateClassCompletion(studentName) {
   showToast(`✨ Class with ${studentName} completed!`);
   checkAllBadges();
 }
+
+// ==================== START ====================
+
+init();
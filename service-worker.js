@@ -1,10 +1,11 @@
-const CACHE_NAME = "mindful-maths-v87";
+const CACHE_NAME = "mindful-maths-v90";
 
 const FILES_TO_CACHE = [
   "/",
   "/index.html",
   "/style.css",
   "/app.js",
+  "/storage.js",
   "/manifest.json"
 ];
 
@@ -50,6 +51,12 @@ self.addEventListener("notificationclick", event => {
     return;
   }
 
+  // Join the meeting or open directions for the class location
+  if (action === 'location' && event.notification.data && event.notification.data.url) {
+    event.waitUntil(clients.openWindow(event.notification.data.url));
+    return;
+  }
+
   // For 'open' action or clicking the notification body, open/focus the app
   event.waitUntil(
     clients.matchAll({ type: "window", includeUncontrolled: true }).then(clientList => {
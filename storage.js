@@ -0,0 +1,315 @@
+// ==================== STORAGE ====================
+
+// Saved data lives in IndexedDB. Everything is read into memory once at startup, so app.js
+// reads synchronously with appStorage.get(); appStorage.set() writes in the background.
+// Lists (classes, payments, backups...) are kept one record per item and a save only writes
+// the items that changed, instead of rewriting the whole list like localStorage did.
+// Falls back to localStorage where IndexedDB is unavailable (e.g. some private windows),
+// unless the data has already moved to IndexedDB - then nothing is saved until it opens again.
+
+const appStorage = createStorage();
+
+function createStorage() {
+  const DB_NAME = 'mindful-maths';
+  const DB_VERSION = 2; // v2: Added archivedClasses
+  const VALUE_STORE = 'values'; // Settings, rates, flags - one record per key
+  // Lists stored one record per item, keyed by the item's id (by position for items without
+  // one, like backups), plus an ORDER_KEY record listing the keys in list order
+  const ORDER_KEY = '_order';
+  const LIST_STORES = ['classes', 'archivedClasses', 'classSeries', 'students', 'packages', 'payments', 'invoices', 'reminderLog', 'autoBackups', 'cleanupBackups'];
+  const MIGRATED_KEY = 'migratedFromLocalStorage';
+  const LOCAL_STORAGE_QUOTA = 5 * 1024 * 1024; // Typical localStorage limit
+
+  let db = null; // Stays null when falling back to localStorage
+  let loadError = null; // Set when the data moved to IndexedDB but it could not be opened
+  let quota = LOCAL_STORAGE_QUOTA;
+  const cache = {};
+  // List key -> { records: record key -> JSON as last written, order: JSON of the keys }, to skip
+  // unchanged items. Missing when the store's contents are unknown, so the next write replaces them.
+  const written = {};
+
+  const storage = {
+    init,
+    get,
+    set,
+    remove,
+    getUsage,
+    getQuota: () => quota,
+    isUsingIndexedDB: () => db !== null,
+    getLoadError: () => loadError,
+    onWriteError: null // Called with the error when a background write fails
+  };
+  return storage;
+
+  // Open the database, migrating localStorage data on first run. Always resolves - when no
+  // saved data could be read at all, getLoadError() says why and nothing is saved.
+  function init() {
+    const opened = window.indexedDB
+      ? openDatabase()
+        .then(database => {
+          db = database;
+          return readAll();
+        })
+        .then(() => {
+          if (!(MIGRATED_KEY in cache)) return migrateFromLocalStorage();
+          markMigrated();
+        })
+        .catch(error => {
+          if (db) db.close();
+          db = null;
+          Object.keys(cache).forEach(key => delete cache[key]);
+          fallBackToLocalStorage(error);
+        })
+      : Promise.resolve().then(() => fallBackToLocalStorage(new Error('IndexedDB is not supported')));
+
+    return opened
+      .then(estimateQuota)
+      .catch(error => {
+        console.error('Could not load saved data, not saving changes:', error);
+        loadError = error;
+      });
+  }
+
+  // localStorage is only safe to use while it still holds the data. After the move to
+  // IndexedDB it is empty, and saving there would hide the real data on the next start.
+  function fallBackToLocalStorage(error) {
+    if (localStorage.getItem(MIGRATED_KEY)) {
+      console.error('Could not open saved data, not saving changes:', error);
+      loadError = error;
+      return;
+    }
+    console.error('IndexedDB unavailable, using localStorage:', error);
+    loadFromLocalStorage();
+  }
+
+  // Objects are returned as copies, so changing one never alters the saved data until set()
+  function get(key, defaultValue) {
+    if (!(key in cache)) return defaultValue;
+    const value = cache[key];
+    return typeof value === 'object' && value !== null ? JSON.parse(JSON.stringify(value)) : value;
+  }
+
+  function set(key, value) {
+    cache[key] = value;
+    if (loadError) return;
+    if (!db) {
+      try {
+        localStorage.setItem(key, JSON.stringify(value));
+      } catch (error) {
+        reportWriteError(error);
+      }
+      return;
+    }
+    if (LIST_STORES.includes(key)) {
+      // Rewrite the whole list next time if this write fails
+      writeTransaction(key, tx => writeValue(tx, key, value), () => delete written[key]);
+    } else {
+      writeTransaction(VALUE_STORE, tx => writeValue(tx, key, value));
+    }
+  }
+
+  function remove(key) {
+    delete cache[key];
+    if (loadError) return;
+    if (!db) {
+      localStorage.removeItem(key);
+      return;
+    }
+    if (LIST_STORES.includes(key)) {
+      delete written[key];
+      writeTransaction(key, tx => tx.objectStore(key).clear());
+    } else {
+      writeTransaction(VALUE_STORE, tx => tx.objectStore(VALUE_STORE).delete(key));
+    }
+  }
+
+  // Approximate size of the saved data in bytes (UTF-16 = 2 bytes per char)
+  function getUsage() {
+    return Object.keys(cache).reduce((total, key) => total + (key.length + JSON.stringify(cache[key]).length) * 2, 0);
+  }
+
+  function openDatabase() {
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const database = request.result;
+        [VALUE_STORE, ...LIST_STORES].forEach(name => {
+          if (!database.objectStoreNames.contains(name)) database.createObjectStore(name);
+        });
+      };
+      request.onsuccess = () => {
+        const database = request.result;
+        // Let a newer version in another tab upgrade the database instead of blocking it
+        database.onversionchange = () => {
+          database.close();
+          alert('Mindful Maths was updated in another tab. Please reload this tab to keep saving your changes.');
+        };
+        resolve(database);
+      };
+      request.onerror = () => reject(request.error);
+      // An older version open in another tab holds the upgrade until it is closed, then onsuccess follows
+      request.onblocked = () => alert('Mindful Maths is open in another tab. Please close it to finish updating.');
+    });
+  }
+
+  function readAll() {
+    const tx = db.transaction([VALUE_STORE, ...LIST_STORES], 'readonly');
+
+    tx.objectStore(VALUE_STORE).openCursor().onsuccess = event => {
+      const cursor = event.target.result;
+      if (!cursor) return;
+      cache[cursor.key] = cursor.value;
+      cursor.continue();
+    };
+
+    const lists = {};
+    LIST_STORES.forEach(key => {
+      const stored = lists[key] = { records: new Map(), order: [] };
+      tx.objectStore(key).openCursor().onsuccess = event => {
+        const cursor = event.target.result;
+        if (!cursor) return;
+        if (cursor.key === ORDER_KEY) {
+          stored.order = cursor.value;
+        } else {
+          stored.records.set(cursor.key, cursor.value);
+        }
+        cursor.continue();
+      };
+    });
+
+    return transactionDone(tx).then(() => {
+      LIST_STORES.forEach(key => {
+        const { records, order } = lists[key];
+        const list = order.filter(recordKey => records.has(recordKey)).map(recordKey => records.get(recordKey));
+        if (list.length === 0) return;
+        cache[key] = list;
+        // Records left out of the order are included here, so the next write deletes them
+        written[key] = {
+          records: new Map([...records].map(([recordKey, item]) => [recordKey, JSON.stringify(item)])),
+          order: JSON.stringify(order)
+        };
+      });
+    });
+  }
+
+  // One-time copy of the old localStorage keys. They are removed once IndexedDB has them.
+  function migrateFromLocalStorage() {
+    const legacy = readLocalStorage();
+    delete legacy[MIGRATED_KEY];
+    const keys = Object.keys(legacy).filter(key => !LIST_STORES.includes(key) || Array.isArray(legacy[key]));
+
+    const tx = db.transaction([VALUE_STORE, ...LIST_STORES], 'readwrite');
+    keys.forEach(key => {
+      cache[key] = legacy[key];
+      writeValue(tx, key, legacy[key]);
+    });
+    cache[MIGRATED_KEY] = new Date().toISOString();
+    tx.objectStore(VALUE_STORE).put(cache[MIGRATED_KEY], MIGRATED_KEY);
+
+    return transactionDone(tx).then(() => {
+      markMigrated();
+      keys.forEach(key => localStorage.removeItem(key));
+    });
+  }
+
+  // Marks the move in localStorage too, so a later failure to open IndexedDB is noticed
+  function markMigrated() {
+    try {
+      localStorage.setItem(MIGRATED_KEY, cache[MIGRATED_KEY]);
+    } catch (error) {
+      console.error('Could not mark data as moved to IndexedDB:', error);
+    }
+  }
+
+  function loadFromLocalStorage() {
+    Object.assign(cache, readLocalStorage());
+  }
+
+  // Values were saved as JSON, apart from a few plain strings like dates
+  function readLocalStorage() {
+    const values = {};
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      const item = localStorage.getItem(key);
+      try {
+        values[key] = JSON.parse(item);
+      } catch (e) {
+        values[key] = item;
+      }
+    }
+    return values;
+  }
+
+  // Queue a write of one key within a transaction
+  function writeValue(tx, key, value) {
+    if (!LIST_STORES.includes(key)) {
+      tx.objectStore(VALUE_STORE).put(value, key);
+      return;
+    }
+
+    written[key] = writeList(tx.objectStore(key), Array.isArray(value) ? value : [], written[key]);
+  }
+
+  // Write the items of a list that changed since the previous write, delete the ones that
+  // are gone, and update the order. Returns what was written.
+  function writeList(store, list, previous) {
+    if (!previous) {
+      store.clear();
+      previous = { records: new Map(), order: null };
+    }
+
+    const records = new Map();
+    const order = list.map((item, index) => {
+      const hasId = item && typeof item.id === 'string' && item.id !== ORDER_KEY && !records.has(item.id);
+      const recordKey = hasId ? item.id : index;
+      const json = JSON.stringify(item);
+      records.set(recordKey, json);
+      if (previous.records.get(recordKey) !== json) store.put(item, recordKey);
+      return recordKey;
+    });
+    previous.records.forEach((json, recordKey) => {
+      if (!records.has(recordKey)) store.delete(recordKey);
+    });
+
+    const orderJson = JSON.stringify(order);
+    if (orderJson !== previous.order) store.put(order, ORDER_KEY);
+    return { records, order: orderJson };
+  }
+
+  function writeTransaction(storeName, write, onFailure) {
+    const fail = error => {
+      if (onFailure) onFailure();
+      reportWriteError(error);
+    };
+    try {
+      const tx = db.transaction(storeName, 'readwrite');
+      write(tx);
+      transactionDone(tx).catch(fail);
+    } catch (error) {
+      fail(error);
+    }
+  }
+
+  function transactionDone(tx) {
+    return new Promise((resolve, reject) => {
+      tx.oncomplete = () => resolve();
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+    });
+  }
+
+  function reportWriteError(error) {
+    console.error('Error saving data:', error);
+    if (storage.onWriteError) storage.onWriteError(error);
+  }
+
+  // Space the browser allows this app. Only known where navigator.storage is supported.
+  function estimateQuota() {
+    if (!db || !navigator.storage || !navigator.storage.estimate) return Promise.resolve();
+    return navigator.storage.estimate()
+      .then(estimate => {
+        if (estimate.quota) quota = estimate.quota;
+      })
+      .catch(() => {});
+  }
+}